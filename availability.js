@@ -0,0 +1,161 @@
+// availability.js - Rebuild store outages from gaps between heartbeats
+
+const MINUTE_MS = 60 * 1000;
+
+// Sort and merge overlapping [start, end) intervals
+function mergeIntervals(intervals) {
+  const sorted = intervals
+    .filter((interval) => interval.end > interval.start)
+    .sort((a, b) => a.start - b.start);
+
+  const merged = [];
+  for (const interval of sorted) {
+    const last = merged[merged.length - 1];
+    if (last && interval.start <= last.end) {
+      if (interval.end > last.end) last.end = interval.end;
+    } else {
+      merged.push({ start: interval.start, end: interval.end });
+    }
+  }
+  return merged;
+}
+
+// Cut the excluded intervals (merged) out of an interval, keeping its other
+// properties on each remaining piece
+function subtractIntervals(interval, excluded) {
+  let pieces = [interval];
+
+  for (const cut of excluded) {
+    pieces = pieces.flatMap((piece) => {
+      if (cut.end <= piece.start || cut.start >= piece.end) return [piece];
+
+      const remaining = [];
+      if (cut.start > piece.start) {
+        remaining.push({ ...piece, end: cut.start });
+      }
+      if (cut.end < piece.end) {
+        remaining.push({ ...piece, start: cut.end });
+      }
+      return remaining;
+    });
+  }
+
+  return pieces;
+}
+
+// Work out a store's outages and uptime between from and to.
+//
+//   existedBefore  - the store was being monitored before `from`
+//   lastBefore     - its last heartbeat in the day before `from`, if any
+//   firstHeartbeat - first heartbeat in the range, null if there were none
+//   lastHeartbeat  - last heartbeat in the range
+//   gaps           - [{ start, end }] consecutive heartbeats further apart
+//                    than the alert threshold
+//   excluded       - [{ start, end }] time that doesn't count either way,
+//                    e.g. maintenance windows
+//
+// An outage runs from the last heartbeat before the silence to the first one
+// after it, clipped to the range. Returns null when the store wasn't being
+// monitored at all during the range.
+function computeAvailability({
+  from,
+  to,
+  thresholdMinutes,
+  existedBefore = false,
+  lastBefore = null,
+  firstHeartbeat = null,
+  lastHeartbeat = null,
+  gaps = [],
+  excluded = [],
+  now = new Date(),
+}) {
+  const thresholdMs = thresholdMinutes * MINUTE_MS;
+  // Nothing can be known about the future, so a range running past now
+  // ends now and any outage still going at that point is ongoing
+  const live = to >= now;
+  if (live) to = now;
+
+  const monitoredFrom = existedBefore ? from : firstHeartbeat;
+  if (!monitoredFrom || monitoredFrom >= to) return null;
+
+  const outages = [];
+
+  // Silent since before the range started. No recent heartbeat before the
+  // range at all means the silence started too long ago to matter.
+  if (existedBefore) {
+    const resumedAt = firstHeartbeat || to;
+    if (!lastBefore || resumedAt - lastBefore > thresholdMs) {
+      outages.push({
+        start: lastBefore || from,
+        end: resumedAt,
+      });
+    }
+  }
+
+  for (const gap of gaps) {
+    outages.push({ start: new Date(gap.start), end: new Date(gap.end) });
+  }
+
+  // Silent since the last heartbeat of the range. Only count it once the
+  // threshold has passed, same as the live health check.
+  if (lastHeartbeat && to - lastHeartbeat > thresholdMs) {
+    outages.push({ start: lastHeartbeat, end: to });
+  }
+
+  const excludedInRange = mergeIntervals(
+    excluded.map((interval) => ({
+      start: interval.start < monitoredFrom ? monitoredFrom : interval.start,
+      end: interval.end > to ? to : interval.end,
+    }))
+  );
+  const excludedMs = excludedInRange.reduce(
+    (total, interval) => total + (interval.end - interval.start),
+    0
+  );
+
+  // The same silence can be reported more than once (e.g. by an archived gap
+  // and the leading outage), so overlapping outages are merged. One still
+  // running at the end of a live range is ongoing.
+  const clipped = mergeIntervals(
+    outages.map((outage) => ({
+      start: outage.start < monitoredFrom ? monitoredFrom : outage.start,
+      end: outage.end > to ? to : outage.end,
+    }))
+  )
+    .flatMap((outage) => subtractIntervals(outage, excludedInRange))
+    .map((outage) => ({ ...outage, ongoing: live && outage.end >= to }));
+
+  const monitoredMs = to - monitoredFrom - excludedMs;
+  if (monitoredMs <= 0) {
+    return {
+      monitored_from: monitoredFrom.toISOString(),
+      monitored_minutes: 0,
+      excluded_minutes: Math.round(excludedMs / MINUTE_MS),
+      downtime_minutes: 0,
+      uptime_percent: null,
+      outages: [],
+    };
+  }
+
+  const downtimeMs = clipped.reduce(
+    (total, outage) => total + (outage.end - outage.start),
+    0
+  );
+
+  return {
+    monitored_from: monitoredFrom.toISOString(),
+    monitored_minutes: Math.round(monitoredMs / MINUTE_MS),
+    excluded_minutes: Math.round(excludedMs / MINUTE_MS),
+    downtime_minutes: Math.round(downtimeMs / MINUTE_MS),
+    uptime_percent:
+      Math.round(((monitoredMs - downtimeMs) / monitoredMs) * 10000) / 100,
+    outages: clipped.map((outage) => ({
+      start: outage.start.toISOString(),
+      end: outage.ongoing ? null : outage.end.toISOString(),
+      duration_minutes: Math.round((outage.end - outage.start) / MINUTE_MS),
+      ongoing: outage.ongoing,
+    })),
+  };
+}
+
+export { computeAvailability };
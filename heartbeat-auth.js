@@ -0,0 +1,98 @@
+// heartbeat-auth.js - Per-store keys and heartbeat request signing
+// Shared by the server (checking) and store-client.js (signing).
+import crypto from "crypto";
+
+// A store signs `${timestamp}.${body}` with its secret and sends these headers
+const SIGNATURE_HEADERS = {
+  storeId: "x-store-id",
+  keyId: "x-key-id",
+  timestamp: "x-timestamp",
+  signature: "x-signature",
+};
+
+function signHeartbeatBody(secret, timestamp, body) {
+  return crypto
+    .createHmac("sha256", secret)
+    .update(`${timestamp}.${body}`)
+    .digest("hex");
+}
+
+// Headers for a signed request. `body` must be the exact string sent.
+function createSignatureHeaders({
+  storeId,
+  keyId,
+  secret,
+  body,
+  timestamp = Math.floor(Date.now() / 1000),
+}) {
+  return {
+    "X-Store-Id": storeId,
+    "X-Key-Id": keyId,
+    "X-Timestamp": String(timestamp),
+    "X-Signature": signHeartbeatBody(secret, timestamp, body),
+  };
+}
+
+function signaturesMatch(expected, provided) {
+  const expectedBuffer = Buffer.from(expected);
+  const providedBuffer = Buffer.from(String(provided));
+  return (
+    expectedBuffer.length === providedBuffer.length &&
+    crypto.timingSafeEqual(expectedBuffer, providedBuffer)
+  );
+}
+
+// A new key id and secret for a store
+function generateStoreKey() {
+  return {
+    keyId: `sk_${crypto.randomBytes(8).toString("hex")}`,
+    secret: crypto.randomBytes(32).toString("base64url"),
+  };
+}
+
+// The server has to check signatures, so it keeps the secrets themselves -
+// encrypted at rest (AES-256-GCM) with a key derived from a server secret
+function encryptionKey(masterKey) {
+  return crypto.createHash("sha256").update(masterKey).digest();
+}
+
+function encryptSecret(secret, masterKey) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(
+    "aes-256-gcm",
+    encryptionKey(masterKey),
+    iv
+  );
+  const encrypted = Buffer.concat([cipher.update(secret), cipher.final()]);
+
+  return [iv, cipher.getAuthTag(), encrypted]
+    .map((part) => part.toString("base64url"))
+    .join(".");
+}
+
+function decryptSecret(stored, masterKey) {
+  const [iv, tag, encrypted] = stored
+    .split(".")
+    .map((part) => Buffer.from(part, "base64url"));
+  const decipher = crypto.createDecipheriv(
+    "aes-256-gcm",
+    encryptionKey(masterKey),
+    iv
+  );
+  decipher.setAuthTag(tag);
+
+  return Buffer.concat([
+    decipher.update(encrypted),
+    decipher.final(),
+  ]).toString();
+}
+
+export {
+  SIGNATURE_HEADERS,
+  signHeartbeatBody,
+  createSignatureHeaders,
+  signaturesMatch,
+  generateStoreKey,
+  encryptSecret,
+  decryptSecret,
+};
@@ -0,0 +1,65 @@
+// import-email-config.js - One-time import of email-config.json into the
+// alert_recipients table. Lists already in the database are left alone
+// unless --replace is given.
+//
+//   node import-email-config.js [path/to/email-config.json] [--replace]
+import fs from "fs";
+import pool from "./database.js";
+import { parseRecipients, replaceRecipients } from "./recipients.js";
+
+async function importEmailConfig() {
+  const configPath =
+    process.argv.slice(2).find((arg) => !arg.startsWith("--")) ||
+    process.env.EMAIL_CONFIG_PATH ||
+    "./email-config.json";
+  const replace = process.argv.includes("--replace");
+
+  console.log(`📥 Importing email recipients from ${configPath}`);
+  const emailConfig = JSON.parse(fs.readFileSync(configPath, "utf8"));
+
+  const [existing] = await pool.execute(
+    "SELECT DISTINCT scope_id FROM alert_recipients"
+  );
+  const existingLists = new Set(existing.map((row) => row.scope_id));
+
+  let imported = 0;
+  let skipped = 0;
+  const connection = await pool.getConnection();
+  try {
+    for (const [scopeId, emails] of Object.entries(emailConfig)) {
+      if (existingLists.has(scopeId) && !replace) {
+        console.log(`  ⏭️ ${scopeId}: already in the database, skipped`);
+        skipped++;
+        continue;
+      }
+
+      const { recipients, error } = parseRecipients(emails);
+      if (error) {
+        console.warn(`  ⚠️ ${scopeId}: ${error} - skipped`);
+        skipped++;
+        continue;
+      }
+
+      await replaceRecipients(connection, scopeId, recipients, {
+        changedBy: "import-email-config",
+        action: "import",
+      });
+      console.log(`  ✅ ${scopeId}: ${recipients.join(", ")}`);
+      imported++;
+    }
+  } finally {
+    connection.release();
+  }
+
+  console.log(`\n🎉 Imported ${imported} lists, skipped ${skipped}`);
+  console.log(
+    "💡 Recipients are now managed through the API - the JSON file is no longer read"
+  );
+}
+
+importEmailConfig()
+  .catch((error) => {
+    console.error(`❌ Import failed: ${error.message}`);
+    process.exitCode = 1;
+  })
+  .finally(() => pool.end());
@@ -0,0 +1,256 @@
+// notification-channels.js - Where alerts get delivered (email, webhooks, chat)
+import axios from "axios";
+
+const SEVERITY_ORDER = ["low", "medium", "high", "critical"];
+
+const SEVERITY_COLORS = {
+  low: "#28a745",
+  medium: "#17a2b8",
+  high: "#fd7e14",
+  critical: "#dc3545",
+};
+
+const ALERT_ICONS = {
+  startup: "🚀",
+  recovery: "✅",
+  offline: "🚨",
+  system_warning: "⚠️",
+  camera_failure: "📷",
+  camera_recovery: "✅",
+  mass_outage: "🌐",
+  mass_outage_recovery: "✅",
+  flapping: "🔁",
+};
+
+// Every channel turns a notification into a channel-specific payload with
+// render(), then sends that payload with deliver(). Keeping the two apart
+// lets a rendered payload be stored and delivered again later.
+class NotificationChannel {
+  constructor(config = {}) {
+    this.config = config;
+    this.type = config.type;
+    this.minSeverity = config.min_severity || "low";
+  }
+
+  // Whether this channel wants a notification at all
+  accepts(notification) {
+    return (
+      SEVERITY_ORDER.indexOf(notification.severity) >=
+      SEVERITY_ORDER.indexOf(this.minSeverity)
+    );
+  }
+
+  describe() {
+    return this.type;
+  }
+
+  render(notification) {
+    throw new Error(`${this.type} channel does not implement render()`);
+  }
+
+  async deliver(payload) {
+    throw new Error(`${this.type} channel does not implement deliver()`);
+  }
+}
+
+// The original HTML email, sent through the server's nodemailer transporter
+class EmailChannel extends NotificationChannel {
+  constructor(config, monitor) {
+    super({ ...config, type: "email" });
+    this.monitor = monitor;
+  }
+
+  accepts(notification) {
+    return (
+      super.accepts(notification) &&
+      this.monitor.emailEnabled &&
+      notification.recipients.length > 0
+    );
+  }
+
+  describe() {
+    return `email (${this.monitor.emailConfig?.auth?.user || "disabled"})`;
+  }
+
+  render(notification) {
+    return {
+      from: this.monitor.emailConfig.auth.user,
+      to: notification.recipients.join(", "),
+      subject: this.monitor.createEmailSubject(
+        notification.store_id,
+        notification.alert_type,
+        notification.severity,
+        notification.store_info,
+        notification.escalation_level
+      ),
+      html: this.monitor.createEmailBody(
+        notification.store_id,
+        notification.alert_type,
+        notification.message,
+        notification.severity,
+        notification.store_data,
+        notification.store_info,
+        notification.ack_links
+      ),
+    };
+  }
+
+  async deliver(payload) {
+    if (!this.monitor.transporter) {
+      throw new Error("Email transporter is not configured");
+    }
+    const info = await this.monitor.transporter.sendMail(payload);
+    return { id: info.messageId };
+  }
+}
+
+// Generic JSON webhook - POSTs the notification as-is
+class WebhookChannel extends NotificationChannel {
+  constructor(config) {
+    super(config);
+    if (!config.url) {
+      throw new Error(`${config.type} channel requires a url`);
+    }
+    try {
+      new URL(config.url);
+    } catch (error) {
+      throw new Error(`${config.type} channel has an invalid url`);
+    }
+    this.url = config.url;
+    this.headers = config.headers || {};
+    this.timeout = config.timeout_ms || 10000;
+  }
+
+  describe() {
+    // Incoming-webhook URLs embed their secret, so only show the host
+    return `${this.type} (${new URL(this.url).host})`;
+  }
+
+  render(notification) {
+    return {
+      event: "store_alert",
+      alert_id: notification.alert_id,
+      store_id: notification.store_id,
+      store_name: notification.store_name,
+      location: notification.location,
+      alert_type: notification.alert_type,
+      severity: notification.severity,
+      message: notification.message,
+      escalation_level: notification.escalation_level,
+      acknowledge_links: notification.ack_links,
+      timestamp: notification.timestamp,
+    };
+  }
+
+  async deliver(payload) {
+    const response = await axios.post(this.url, payload, {
+      timeout: this.timeout,
+      headers: { "Content-Type": "application/json", ...this.headers },
+    });
+    return { status: response.status };
+  }
+}
+
+// Slack incoming webhook
+class SlackChannel extends WebhookChannel {
+  render(notification) {
+    const icon = ALERT_ICONS[notification.alert_type] || "📧";
+    const title = `${icon} ${
+      notification.store_name
+    } - ${notification.alert_type.toUpperCase()}`;
+    const ackLink = notification.ack_links[0];
+
+    return {
+      text: `${title}: ${notification.message}`,
+      attachments: [
+        {
+          color: SEVERITY_COLORS[notification.severity],
+          title,
+          text: notification.message,
+          fields: [
+            { title: "Store ID", value: notification.store_id, short: true },
+            { title: "Severity", value: notification.severity, short: true },
+            { title: "Location", value: notification.location, short: true },
+            {
+              title: "Time",
+              value: new Date(notification.timestamp).toLocaleString(),
+              short: true,
+            },
+          ],
+          ...(ackLink
+            ? {
+                title_link: ackLink.url,
+                footer: "Click the title to acknowledge",
+              }
+            : {}),
+        },
+      ],
+    };
+  }
+}
+
+// Microsoft Teams incoming webhook (MessageCard format)
+class TeamsChannel extends WebhookChannel {
+  render(notification) {
+    const icon = ALERT_ICONS[notification.alert_type] || "📧";
+    const title = `${icon} ${
+      notification.store_name
+    } - ${notification.alert_type.toUpperCase()}`;
+
+    return {
+      "@type": "MessageCard",
+      "@context": "https://schema.org/extensions",
+      summary: title,
+      themeColor: SEVERITY_COLORS[notification.severity].replace("#", ""),
+      title,
+      sections: [
+        {
+          text: notification.message,
+          facts: [
+            { name: "Store ID", value: notification.store_id },
+            { name: "Severity", value: notification.severity },
+            { name: "Location", value: notification.location },
+            {
+              name: "Time",
+              value: new Date(notification.timestamp).toLocaleString(),
+            },
+          ],
+        },
+      ],
+      potentialAction: notification.ack_links.map((link) => ({
+        "@type": "OpenUri",
+        name: `Acknowledge as ${link.recipient}`,
+        targets: [{ os: "default", uri: link.url }],
+      })),
+    };
+  }
+}
+
+const CHANNEL_TYPES = {
+  webhook: WebhookChannel,
+  slack: SlackChannel,
+  teams: TeamsChannel,
+};
+
+// Build a channel from its config entry, e.g. { "type": "slack", "url": "..." }
+function createNotificationChannel(config, monitor) {
+  if (config.type === "email") {
+    return new EmailChannel(config, monitor);
+  }
+
+  const ChannelClass = CHANNEL_TYPES[config.type];
+  if (!ChannelClass) {
+    throw new Error(`Unknown notification channel type: ${config.type}`);
+  }
+  return new ChannelClass(config);
+}
+
+export {
+  ALERT_ICONS,
+  NotificationChannel,
+  EmailChannel,
+  WebhookChannel,
+  SlackChannel,
+  TeamsChannel,
+  createNotificationChannel,
+};
@@ -0,0 +1,40 @@
+// prometheus.js - Render metric families in the Prometheus text format
+// (https://prometheus.io/docs/instrumenting/exposition_formats/)
+
+const CONTENT_TYPE = "text/plain; version=0.0.4; charset=utf-8";
+
+function escapeLabelValue(value) {
+  return String(value)
+    .replace(/\\/g, "\\\\")
+    .replace(/\n/g, "\\n")
+    .replace(/"/g, '\\"');
+}
+
+function formatLabels(labels = {}) {
+  const pairs = Object.entries(labels)
+    .filter(([, value]) => value !== null && value !== undefined)
+    .map(([name, value]) => `${name}="${escapeLabelValue(value)}"`);
+  return pairs.length > 0 ? `{${pairs.join(",")}}` : "";
+}
+
+// families: [{ name, help, type, samples: [{ labels, value }] }]. Samples
+// without a numeric value (metric not reported) are left out.
+function renderMetrics(families) {
+  const lines = [];
+
+  for (const family of families) {
+    lines.push(`# HELP ${family.name} ${family.help}`);
+    lines.push(`# TYPE ${family.name} ${family.type}`);
+
+    for (const sample of family.samples) {
+      if (sample.value === null || sample.value === undefined) continue;
+      const value = Number(sample.value);
+      if (isNaN(value)) continue;
+      lines.push(`${family.name}${formatLabels(sample.labels)} ${value}`);
+    }
+  }
+
+  return `${lines.join("\n")}\n`;
+}
+
+export { CONTENT_TYPE, renderMetrics };
@@ -0,0 +1,578 @@
+// app.js - Bundled dashboard. Only uses the server's JSON routes; the API
+// token (if API auth is on) is kept in localStorage.
+
+const REFRESH_SECONDS = 15;
+
+// Charts on the store page: [metric, label, fixed maximum]
+const CHART_METRICS = [
+  ["cpu_usage", "CPU usage", 100],
+  ["memory_usage", "Memory usage", 100],
+  ["disk_usage", "Disk usage", 100],
+  ["disk_free_gb", "Disk free", null],
+  ["active_cameras", "Active cameras", null],
+  ["network_speed_mbps", "Network speed", null],
+];
+
+const CHART_RANGES = { "6h": 6, "24h": 24, "7d": 7 * 24, "30d": 30 * 24 };
+
+const state = {
+  token: localStorage.getItem("apiToken") || "",
+  refreshTimer: null,
+  region: "",
+  alertStatus: "open",
+  chartRange: "24h",
+};
+
+const view = document.getElementById("view");
+const errorBanner = document.getElementById("error");
+const loginForm = document.getElementById("login");
+
+function escapeHtml(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+function formatTime(value) {
+  return value ? new Date(value).toLocaleString() : "—";
+}
+
+function formatNumber(value, unit = "") {
+  if (value === null || value === undefined || value === "") return "—";
+  const number = Number(value);
+  return isNaN(number)
+    ? escapeHtml(value)
+    : `${Math.round(number * 10) / 10}${unit}`;
+}
+
+function showError(message) {
+  errorBanner.textContent = message;
+  errorBanner.hidden = !message;
+}
+
+function showLogin(message) {
+  document.getElementById("login-message").textContent =
+    message || "Enter an API token to continue.";
+  loginForm.hidden = false;
+  document.getElementById("token-input").focus();
+}
+
+// Call a JSON route. A 401 asks for a token.
+async function api(path, options = {}) {
+  const response = await fetch(path, {
+    ...options,
+    headers: {
+      "Content-Type": "application/json",
+      ...(state.token ? { Authorization: `Bearer ${state.token}` } : {}),
+    },
+    body: options.body ? JSON.stringify(options.body) : undefined,
+  });
+  const body = await response.json().catch(() => ({}));
+
+  if (response.status === 401) {
+    showLogin(body.error);
+  }
+  if (!response.ok) {
+    throw new Error(body.error || `${response.status} ${response.statusText}`);
+  }
+  return body;
+}
+
+// ---- Store grid ----
+
+async function renderStores() {
+  const data = await api("/dashboard");
+  const regions = [
+    ...new Set(data.stores.map((store) => store.region).filter(Boolean)),
+  ].sort();
+  const stores = data.stores.filter(
+    (store) => !state.region || store.region === state.region
+  );
+  const { summary } = data;
+
+  view.innerHTML = `
+    <div class="summary">
+      <div><strong>${summary.total_stores}</strong>Stores</div>
+      <div><strong>${summary.online_stores}</strong>Online</div>
+      <div><strong>${summary.offline_stores}</strong>Offline</div>
+      <div><strong>${summary.unknown_stores}</strong>Unknown</div>
+      <div><strong>${summary.maintenance_stores}</strong>In maintenance</div>
+      <div><strong>${summary.flapping_stores}</strong>Flapping</div>
+      <div><strong>${summary.quarantined_stores}</strong>Quarantined</div>
+    </div>
+    <div class="toolbar">
+      <label>Region
+        <select id="region-filter">
+          <option value="">All regions</option>
+          ${regions
+            .map(
+              (region) =>
+                `<option ${
+                  region === state.region ? "selected" : ""
+                }>${escapeHtml(region)}</option>`
+            )
+            .join("")}
+        </select>
+      </label>
+      <span class="muted">Updated ${formatTime(summary.last_updated)}</span>
+    </div>
+    <div class="store-grid">
+      ${stores.map(renderStoreCard).join("") || "<p>No stores registered.</p>"}
+    </div>
+  `;
+
+  document.getElementById("region-filter").onchange = (event) => {
+    state.region = event.target.value;
+    renderStores().catch((error) => showError(error.message));
+  };
+}
+
+function renderStoreCard(store) {
+  const incident = store.offline_incident;
+  return `
+    <a class="store-card status-${escapeHtml(store.status)}"
+       href="#/store/${encodeURIComponent(store.store_id)}">
+      <h3>${escapeHtml(store.store_name || store.store_id)}</h3>
+      <p><span class="badge ${escapeHtml(store.status)}">${escapeHtml(
+    store.status
+  )}</span>${
+    store.flapping ? ' <span class="badge high">flapping</span>' : ""
+  } <span class="muted">${escapeHtml(store.store_id)}${
+    store.region ? ` · ${escapeHtml(store.region)}` : ""
+  }</span></p>
+      <p>Last heartbeat: ${
+        store.minutes_since_heartbeat !== null
+          ? `${store.minutes_since_heartbeat} min ago`
+          : "never"
+      }</p>
+      <p>CPU ${formatNumber(
+        store.metrics.cpu_usage,
+        "%"
+      )} · Memory ${formatNumber(
+    store.metrics.memory_usage,
+    "%"
+  )} · Cameras ${formatNumber(store.metrics.cameras_active)}/${formatNumber(
+    store.metrics.cameras_total
+  )}</p>
+      ${
+        incident
+          ? `<p>${
+              incident.acknowledged
+                ? `Acknowledged by ${escapeHtml(incident.acknowledged_by)}`
+                : "Not acknowledged"
+            }</p>`
+          : ""
+      }
+    </a>
+  `;
+}
+
+// ---- Store detail ----
+
+async function renderStore(storeId) {
+  const path = encodeURIComponent(storeId);
+  const [store, alerts] = await Promise.all([
+    api(`/store/${path}`),
+    api(`/alerts/${path}?limit=20`),
+  ]);
+  const status = store.maintenance
+    ? "maintenance"
+    : store.last_heartbeat
+    ? store.is_online
+      ? "online"
+      : "offline"
+    : "unknown";
+
+  view.innerHTML = `
+    <p><a href="#/">← All stores</a></p>
+    <div class="panel">
+      <h2>${escapeHtml(store.store_name || storeId)}
+        <span class="badge ${status}">${status}</span></h2>
+      <dl class="details">
+        <dt>Store ID</dt><dd>${escapeHtml(storeId)}</dd>
+        <dt>Region</dt><dd>${escapeHtml(store.region || "—")}</dd>
+        <dt>Address</dt><dd>${escapeHtml(store.address || "—")}</dd>
+        <dt>Contact</dt><dd>${escapeHtml(
+          [store.contact_person, store.contact_phone]
+            .filter(Boolean)
+            .join(", ") || "—"
+        )}</dd>
+        <dt>Last heartbeat</dt><dd>${formatTime(store.last_heartbeat)}${
+    store.minutes_since_heartbeat
+      ? ` (${store.minutes_since_heartbeat} min ago)`
+      : ""
+  }</dd>
+        <dt>Alert threshold</dt><dd>${store.alert_threshold_minutes} min</dd>
+        ${
+          store.flapping
+            ? `<dt>Flapping</dt><dd>Since ${formatTime(
+                store.flapping.since
+              )}, alerts resume after ${formatTime(
+                store.flapping.stable_after
+              )} if stable</dd>`
+            : ""
+        }
+        <dt>Disk forecast</dt><dd>${
+          store.disk_forecast_error
+            ? "Unavailable"
+            : !store.disk_forecast?.full_at
+            ? "No sign of the disk filling up"
+            : `Full around ${formatTime(store.disk_forecast.full_at)} (${
+                store.disk_forecast.days_until_full
+              } days)${
+                store.disk_forecast.within_horizon
+                  ? ' <span class="badge high">soon</span>'
+                  : ""
+              }`
+        }</dd>
+        <dt>Email recipients</dt><dd>${escapeHtml(
+          store.email_recipients.join(", ") || "—"
+        )}</dd>
+        <dt>Cameras</dt><dd>${
+          store.cameras
+            .map(
+              (camera) =>
+                `<span class="badge ${
+                  camera.status === "active" ? "online" : "offline"
+                }">${escapeHtml(camera.camera_id)}</span>`
+            )
+            .join(" ") || "—"
+        }</dd>
+      </dl>
+    </div>
+    <div class="panel">
+      <div class="toolbar">
+        <h2>Metrics</h2>
+        <select id="chart-range">
+          ${Object.keys(CHART_RANGES)
+            .map(
+              (range) =>
+                `<option ${
+                  range === state.chartRange ? "selected" : ""
+                }>${range}</option>`
+            )
+            .join("")}
+        </select>
+      </div>
+      <div class="charts" id="charts"></div>
+    </div>
+    <div class="panel">
+      <h2>Recent alerts</h2>
+      ${renderAlertTable(alerts, { showStore: false })}
+    </div>
+  `;
+
+  document.getElementById("chart-range").onchange = (event) => {
+    state.chartRange = event.target.value;
+    renderCharts(storeId).catch((error) => showError(error.message));
+  };
+  bindAlertActions(() => renderStore(storeId));
+  await renderCharts(storeId);
+}
+
+async function renderCharts(storeId) {
+  const to = new Date();
+  const from = new Date(to - CHART_RANGES[state.chartRange] * 60 * 60 * 1000);
+  const query = `from=${from.toISOString()}&to=${to.toISOString()}`;
+
+  const series = await Promise.all(
+    CHART_METRICS.map(([metric]) =>
+      api(
+        `/store/${encodeURIComponent(
+          storeId
+        )}/metrics?metric=${metric}&${query}`
+      )
+    )
+  );
+
+  document.getElementById("charts").innerHTML = series
+    .map((data, index) =>
+      renderChart(data, CHART_METRICS[index][1], CHART_METRICS[index][2])
+    )
+    .join("");
+}
+
+// Average as a line over a min-max band, as an inline SVG
+function renderChart(data, label, fixedMax) {
+  const width = 600;
+  const height = 160;
+  const padding = { top: 10, right: 10, bottom: 20, left: 40 };
+  const title = `<h3>${escapeHtml(label)}${
+    data.unit ? ` (${escapeHtml(data.unit)})` : ""
+  }</h3>`;
+
+  if (data.points.length === 0) {
+    return `<div class="chart">${title}<p class="muted">No data in this range.</p></div>`;
+  }
+
+  const from = new Date(data.from).getTime();
+  const to = new Date(data.to).getTime();
+  const max =
+    fixedMax || Math.max(1, ...data.points.map((point) => point.max)) * 1.1;
+  const x = (timestamp) =>
+    padding.left +
+    ((new Date(timestamp).getTime() - from) / (to - from)) *
+      (width - padding.left - padding.right);
+  const y = (value) =>
+    height -
+    padding.bottom -
+    (value / max) * (height - padding.top - padding.bottom);
+
+  const line = data.points
+    .map((point) => `${x(point.timestamp)},${y(point.avg)}`)
+    .join(" ");
+  const band = [
+    ...data.points.map((point) => `${x(point.timestamp)},${y(point.max)}`),
+    ...data.points
+      .slice()
+      .reverse()
+      .map((point) => `${x(point.timestamp)},${y(point.min)}`),
+  ].join(" ");
+  const latest = data.points[data.points.length - 1];
+
+  return `
+    <div class="chart">
+      ${title}
+      <svg viewBox="0 0 ${width} ${height}" preserveAspectRatio="none">
+        <polygon class="band" points="${band}" />
+        <polyline class="line" points="${line}" />
+        <text class="axis" x="4" y="${padding.top + 8}">${formatNumber(
+    max
+  )}</text>
+        <text class="axis" x="4" y="${height - padding.bottom}">0</text>
+        <text class="axis" x="${padding.left}" y="${height - 4}">${escapeHtml(
+    new Date(from).toLocaleString()
+  )}</text>
+        <text class="axis" x="${width - padding.right}" y="${
+    height - 4
+  }" text-anchor="end">${escapeHtml(new Date(to).toLocaleString())}</text>
+      </svg>
+      <p class="muted">Latest: ${formatNumber(
+        latest.avg
+      )} · Range min ${formatNumber(
+    Math.min(...data.points.map((point) => point.min))
+  )} / max ${formatNumber(
+    Math.max(...data.points.map((point) => point.max))
+  )}</p>
+    </div>
+  `;
+}
+
+// ---- Alert feed ----
+
+async function renderAlerts() {
+  const query = state.alertStatus ? `&status=${state.alertStatus}` : "";
+  const alerts = await api(`/alerts?limit=100${query}`);
+
+  view.innerHTML = `
+    <div class="toolbar">
+      <label>Show
+        <select id="alert-status">
+          <option value="open" ${
+            state.alertStatus === "open" ? "selected" : ""
+          }>Open</option>
+          <option value="resolved" ${
+            state.alertStatus === "resolved" ? "selected" : ""
+          }>Resolved</option>
+          <option value="" ${
+            state.alertStatus === "" ? "selected" : ""
+          }>All</option>
+        </select>
+      </label>
+    </div>
+    ${renderAlertTable(alerts, { showStore: true })}
+  `;
+
+  document.getElementById("alert-status").onchange = (event) => {
+    state.alertStatus = event.target.value;
+    renderAlerts().catch((error) => showError(error.message));
+  };
+  bindAlertActions(renderAlerts);
+}
+
+function renderAlertTable(alerts, { showStore }) {
+  if (alerts.length === 0) {
+    return `<p class="muted">No alerts.</p>`;
+  }
+
+  return `
+    <table>
+      <tr>
+        <th>Time</th>
+        ${showStore ? "<th>Store</th>" : ""}
+        <th>Type</th>
+        <th>Severity</th>
+        <th>Message</th>
+        <th>Status</th>
+        <th></th>
+      </tr>
+      ${alerts
+        .map(
+          (alert) => `
+        <tr>
+          <td>${formatTime(alert.timestamp)}</td>
+          ${
+            !showStore
+              ? ""
+              : alert.store_id
+              ? `<td><a href="#/store/${encodeURIComponent(
+                  alert.store_id
+                )}">${escapeHtml(alert.store_name || alert.store_id)}</a></td>`
+              : `<td class="muted">${escapeHtml(
+                  alert.alert_key || "fleet"
+                )}</td>`
+          }
+          <td>${escapeHtml(alert.alert_type)}</td>
+          <td><span class="badge ${escapeHtml(alert.severity)}">${escapeHtml(
+            alert.severity
+          )}</span></td>
+          <td>${escapeHtml(alert.message)}</td>
+          <td>${
+            alert.resolved
+              ? `Resolved ${formatTime(alert.resolved_at)}${
+                  alert.resolved_by
+                    ? ` by ${escapeHtml(alert.resolved_by)}`
+                    : ""
+                }`
+              : alert.acknowledged_at
+              ? `Acknowledged by ${escapeHtml(alert.acknowledged_by)}`
+              : "Open"
+          }</td>
+          <td class="actions">${
+            alert.resolved
+              ? ""
+              : `${
+                  alert.alert_type === "offline" && !alert.acknowledged_at
+                    ? `<button data-acknowledge="${alert.id}">Acknowledge</button> `
+                    : ""
+                }<button class="danger" data-resolve="${
+                  alert.id
+                }">Resolve</button>`
+          }</td>
+        </tr>`
+        )
+        .join("")}
+    </table>
+  `;
+}
+
+function bindAlertActions(rerender) {
+  const act = async (button, alertId, body) => {
+    button.disabled = true;
+    try {
+      await api(`/alerts/${alertId}`, { method: "PATCH", body });
+      await rerender();
+    } catch (error) {
+      showError(error.message);
+      button.disabled = false;
+    }
+  };
+
+  for (const button of view.querySelectorAll("[data-resolve]")) {
+    button.onclick = () =>
+      act(button, button.dataset.resolve, { resolved: true });
+  }
+  for (const button of view.querySelectorAll("[data-acknowledge]")) {
+    button.onclick = () =>
+      act(button, button.dataset.acknowledge, { acknowledged: true });
+  }
+}
+
+// ---- Email configuration ----
+
+async function renderConfig() {
+  const config = await api("/config/email");
+  const lists = Object.entries(config.email_configurations).sort(([a], [b]) =>
+    a.localeCompare(b)
+  );
+
+  view.innerHTML = `
+    <div class="panel">
+      <h2>Email recipients</h2>
+      <p class="muted">Stores without their own list use the default list.
+        Lists are changed through PUT /stores/STORE_ID/recipients and
+        PUT /recipients/default.</p>
+      <table>
+        <tr><th>List</th><th>Recipients</th></tr>
+        ${
+          lists
+            .map(
+              ([scopeId, emails]) => `
+          <tr>
+            <td>${
+              scopeId === "default" || scopeId === "reports"
+                ? `<strong>${escapeHtml(scopeId)}</strong>`
+                : `<a href="#/store/${encodeURIComponent(
+                    scopeId
+                  )}">${escapeHtml(scopeId)}</a>`
+            }</td>
+            <td>${escapeHtml(emails.join(", "))}</td>
+          </tr>`
+            )
+            .join("") ||
+          `<tr><td colspan="2" class="muted">No recipients configured.</td></tr>`
+        }
+      </table>
+    </div>
+  `;
+}
+
+// ---- Routing ----
+
+const ROUTES = [
+  [/^#\/store\/(.+)$/, (match) => renderStore(decodeURIComponent(match[1]))],
+  [/^#\/alerts$/, renderAlerts],
+  [/^#\/config$/, renderConfig],
+  [/^(#\/?)?$/, renderStores],
+];
+
+async function render() {
+  const hash = window.location.hash;
+
+  for (const link of document.querySelectorAll("header nav a")) {
+    const target = link.getAttribute("href");
+    link.classList.toggle(
+      "active",
+      target === "#/" ? !hash || hash === "#/" : hash.startsWith(target)
+    );
+  }
+
+  try {
+    const route = ROUTES.find(([pattern]) => pattern.test(hash));
+    if (route) {
+      await route[1](hash.match(route[0]));
+    } else {
+      await renderStores();
+    }
+    showError("");
+  } catch (error) {
+    showError(error.message);
+  }
+}
+
+// Re-render the current page every REFRESH_SECONDS, except while someone is
+// using a control on it
+function scheduleRefresh() {
+  clearInterval(state.refreshTimer);
+  state.refreshTimer = setInterval(() => {
+    if (!view.contains(document.activeElement) && loginForm.hidden) {
+      render();
+    }
+  }, REFRESH_SECONDS * 1000);
+}
+
+loginForm.onsubmit = (event) => {
+  event.preventDefault();
+  state.token = document.getElementById("token-input").value.trim();
+  localStorage.setItem("apiToken", state.token);
+  loginForm.hidden = true;
+  render();
+};
+document.getElementById("token-button").onclick = () => showLogin();
+
+window.addEventListener("hashchange", render);
+render();
+scheduleRefresh();
@@ -0,0 +1,98 @@
+// recipients.js - Alert email recipients kept in the alert_recipients table
+// Shared by the server (API) and import-email-config.js (one-time import).
+
+// Lists that aren't stores: "default" is used by stores without their own
+// list, "reports" gets the fleet reports
+const RECIPIENT_LISTS = ["default", "reports"];
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Validate a list of email addresses, dropping duplicates
+function parseRecipients(emails) {
+  if (!Array.isArray(emails) || emails.length === 0) {
+    return { error: "recipients must be a non-empty array of email addresses" };
+  }
+
+  const recipients = [];
+  for (const email of emails) {
+    const address = typeof email === "string" ? email.trim() : "";
+    if (address.length > 255 || !EMAIL_PATTERN.test(address)) {
+      return { error: `Invalid email address: ${email}` };
+    }
+    if (
+      !recipients.some((known) => known.toLowerCase() === address.toLowerCase())
+    ) {
+      recipients.push(address);
+    }
+  }
+
+  return { recipients };
+}
+
+// Every list in the table, as scopeId -> [email, ...]
+async function loadRecipientLists(db) {
+  const [rows] = await db.execute(
+    "SELECT scope_id, email FROM alert_recipients ORDER BY scope_id, id"
+  );
+
+  const lists = new Map();
+  for (const row of rows) {
+    if (!lists.has(row.scope_id)) lists.set(row.scope_id, []);
+    lists.get(row.scope_id).push(row.email);
+  }
+  return lists;
+}
+
+// Replace a list (or remove it, with recipients = []) and record the change.
+// Runs in its own transaction on the given connection.
+async function replaceRecipients(
+  connection,
+  scopeId,
+  recipients,
+  { changedBy = null, action = "update" } = {}
+) {
+  await connection.beginTransaction();
+  try {
+    const [previous] = await connection.execute(
+      "SELECT email FROM alert_recipients WHERE scope_id = ? ORDER BY id FOR UPDATE",
+      [scopeId]
+    );
+
+    await connection.execute(
+      "DELETE FROM alert_recipients WHERE scope_id = ?",
+      [scopeId]
+    );
+    for (const email of recipients) {
+      await connection.execute(
+        "INSERT INTO alert_recipients (scope_id, email, created_by) VALUES (?, ?, ?)",
+        [scopeId, email, changedBy]
+      );
+    }
+
+    await connection.execute(
+      `INSERT INTO recipient_changes
+       (scope_id, action, previous_recipients, new_recipients, changed_by)
+       VALUES (?, ?, ?, ?, ?)`,
+      [
+        scopeId,
+        action,
+        JSON.stringify(previous.map((row) => row.email)),
+        JSON.stringify(recipients),
+        changedBy,
+      ]
+    );
+
+    await connection.commit();
+    return previous.map((row) => row.email);
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  }
+}
+
+export {
+  RECIPIENT_LISTS,
+  parseRecipients,
+  loadRecipientLists,
+  replaceRecipients,
+};
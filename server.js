@@ -5,14 +5,234 @@ import nodemailer from "nodemailer";
 import cron from "node-cron";
 import dotenv from "dotenv";
 import pool from "./database.js";
-import { pathToFileURL } from "url";
+import {
+  ALERT_ICONS,
+  EmailChannel,
+  createNotificationChannel,
+} from "./notification-channels.js";
+import { computeAvailability } from "./availability.js";
+import {
+  SIGNATURE_HEADERS,
+  signHeartbeatBody,
+  signaturesMatch,
+  generateStoreKey,
+  encryptSecret,
+  decryptSecret,
+} from "./heartbeat-auth.js";
+import {
+  RECIPIENT_LISTS,
+  parseRecipients,
+  loadRecipientLists,
+  replaceRecipients,
+} from "./recipients.js";
+import {
+  CONTENT_TYPE as PROMETHEUS_CONTENT_TYPE,
+  renderMetrics,
+} from "./prometheus.js";
+import { fileURLToPath, pathToFileURL } from "url";
 import fs from "fs";
 import path from "path";
+import crypto from "crypto";
 
 dotenv.config();
 
+// Default system_warning rules, keyed by the system_stats field the client
+// reports. "metric" is the matching key in extractMetrics(). Any of these can
+// be overridden (or disabled with "enabled": false) in ALERT_RULES_PATH.
+const DEFAULT_METRIC_ALERT_RULES = {
+  cpu_usage_percent: {
+    metric: "cpu_usage",
+    label: "CPU usage",
+    unit: "%",
+    direction: "above",
+    warn: 85,
+    critical: 95,
+    sustained_heartbeats: 3,
+  },
+  memory_usage_percent: {
+    metric: "memory_usage",
+    label: "Memory usage",
+    unit: "%",
+    direction: "above",
+    warn: 85,
+    critical: 95,
+    sustained_heartbeats: 3,
+  },
+  disk_free_gb: {
+    metric: "disk_free_gb",
+    label: "Free disk space",
+    unit: " GB",
+    direction: "below",
+    warn: 20,
+    critical: 5,
+    sustained_heartbeats: 2,
+  },
+  disk_usage_percent: {
+    metric: "disk_usage",
+    label: "Disk usage",
+    unit: "%",
+    direction: "above",
+    warn: 85,
+    critical: 95,
+    sustained_heartbeats: 2,
+  },
+  process_memory_mb: {
+    metric: "process_memory_mb",
+    label: "Process memory",
+    unit: " MB",
+    direction: "above",
+    warn: 1024,
+    critical: 2048,
+    sustained_heartbeats: 3,
+  },
+  // The floor for camera streaming - see also the baseline drop check in
+  // evaluateNetworkBaseline()
+  network_speed_mbps: {
+    metric: "network_speed_mbps",
+    label: "Network speed",
+    unit: " Mbps",
+    direction: "below",
+    warn: 10,
+    critical: 2,
+    sustained_heartbeats: 5,
+  },
+};
+
+// Metrics that can be read back as a time series, named like storeMetrics
+const HISTORY_METRICS = {
+  cpu_usage: { table: "system_stats", column: "cpu_usage", unit: "%" },
+  memory_usage: { table: "system_stats", column: "memory_usage", unit: "%" },
+  memory_available_gb: {
+    table: "system_stats",
+    column: "memory_available_gb",
+    unit: " GB",
+  },
+  disk_free_gb: { table: "system_stats", column: "disk_free_gb", unit: " GB" },
+  disk_usage: {
+    table: "system_stats",
+    column: "disk_usage_percent",
+    unit: "%",
+  },
+  process_memory_mb: {
+    table: "system_stats",
+    column: "process_memory_mb",
+    unit: " MB",
+  },
+  uptime_hours: { table: "system_stats", column: "uptime_hours", unit: " h" },
+  // Averages to the fraction of heartbeats that reported a connection
+  network_connected: {
+    table: "system_stats",
+    column: "network_connected",
+    unit: "",
+  },
+  active_cameras: {
+    table: "heartbeat_history",
+    column: "active_cameras",
+    unit: "",
+  },
+  total_cameras: {
+    table: "heartbeat_history",
+    column: "total_cameras",
+    unit: "",
+  },
+  network_speed_mbps: {
+    table: "network_speed_history",
+    column: "speed_mbps",
+    unit: " Mbps",
+  },
+};
+
+// How raw rows are grouped into rollup buckets (DATETIMEs are local time)
+const ROLLUP_BUCKETS = {
+  hourly: "DATE_FORMAT(timestamp, '%Y-%m-%d %H:00:00')",
+  daily: "DATE(timestamp)",
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Bucket sizes (seconds) picked from when the caller doesn't ask for one
+const METRIC_BUCKET_SIZES = [60, 300, 900, 3600, 4 * 3600, 86400, 7 * 86400];
+const MAX_METRIC_POINTS = 500;
+
+// Disk forecasts are fitted to hourly averages and need at least this many
+const MIN_FORECAST_SAMPLES = 12;
+
+// Speed tests a store needs in its baseline period, and within the drop
+// window, before it's compared against its own baseline
+const MIN_BASELINE_SAMPLES = 12;
+const MIN_DROP_SAMPLES = 3;
+
+// Least-squares line through [x, y] points: y = intercept + slope * x
+function fitLinearTrend(points) {
+  const meanX = points.reduce((sum, [x]) => sum + x, 0) / points.length;
+  const meanY = points.reduce((sum, [, y]) => sum + y, 0) / points.length;
+
+  let covariance = 0;
+  let variance = 0;
+  for (const [x, y] of points) {
+    covariance += (x - meanX) * (y - meanY);
+    variance += (x - meanX) ** 2;
+  }
+
+  const slope = variance === 0 ? 0 : covariance / variance;
+  return { slope, intercept: meanY - slope * meanX };
+}
+
+// Fields of a store's entry in the registry, managed through /stores
+const STORE_REGISTRY_FIELDS = [
+  "store_name",
+  "address",
+  "region",
+  "contact_person",
+  "contact_phone",
+  "expected_heartbeat_interval_seconds",
+];
+
+// Alert timings that can be overridden per store, group or region, and the
+// server config each one falls back to
+const ALERT_SETTING_FIELDS = {
+  alert_threshold_minutes: "alertThresholdMinutes",
+  offline_alert_cooldown_minutes: "offlineAlertCooldownMinutes",
+  startup_alert_cooldown_minutes: "startupAlertCooldownMinutes",
+  recovery_alert_cooldown_minutes: "recoveryAlertCooldownMinutes",
+};
+
+// API roles, each allowed everything the ones below it are
+const ROLE_LEVELS = { viewer: 1, operator: 2, admin: 3 };
+
+// API tokens are only stored as hashes
+function hashApiToken(token) {
+  return crypto.createHash("sha256").update(String(token)).digest("hex");
+}
+
+// Escape text for the HTML emails and pages we render
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+// Alert types that report good news rather than a problem to fix
+const INFORMATIONAL_ALERT_TYPES = [
+  "startup",
+  "recovery",
+  "camera_recovery",
+  "mass_outage_recovery",
+];
+
 const app = express();
-app.use(express.json({ limit: "10mb" }));
+app.use(
+  express.json({
+    limit: "10mb",
+    // Heartbeat signatures are checked against the exact bytes sent
+    verify: (req, res, buf) => {
+      req.rawBody = buf;
+    },
+  })
+);
 
 // Enhanced CORS configuration
 app.use((req, res, next) => {
@@ -47,6 +267,9 @@ app.use((req, res, next) => {
   next();
 });
 
+// The bundled web dashboard (public/). It only uses the JSON routes below.
+app.use(express.static(fileURLToPath(new URL("./public", import.meta.url))));
+
 class CentralizedMonitoringServer {
   constructor() {
     console.log("🏭 Initializing Centralized Store Monitoring Server...");
@@ -56,31 +279,181 @@ class CentralizedMonitoringServer {
       parseInt(process.env.ALERT_THRESHOLD_MINUTES) || 5;
     this.offlineAlertCooldownMinutes =
       parseInt(process.env.OFFLINE_ALERT_COOLDOWN_MINUTES) || 5;
+    this.startupAlertCooldownMinutes =
+      parseInt(process.env.STARTUP_ALERT_COOLDOWN_MINUTES) || 10;
+    this.recoveryAlertCooldownMinutes =
+      parseInt(process.env.RECOVERY_ALERT_COOLDOWN_MINUTES) || 5;
     this.healthCheckIntervalMinutes =
       parseInt(process.env.HEALTH_CHECK_INTERVAL) || 2;
-
-    // File paths - only email config needed
-    this.emailConfigPath =
-      process.env.EMAIL_CONFIG_PATH || "./email-config.json";
+    this.cameraDebounceHeartbeats =
+      parseInt(process.env.CAMERA_DEBOUNCE_HEARTBEATS) || 3;
+    this.notificationMaxAttempts =
+      parseInt(process.env.NOTIFICATION_MAX_ATTEMPTS) || 6;
+    this.notificationRetryBaseSeconds =
+      parseInt(process.env.NOTIFICATION_RETRY_BASE_SECONDS) || 30;
+
+    // Mass outages: when at least massOutagePercent% of the fleet (or of a
+    // group), and at least massOutageMinStores stores, go silent within
+    // massOutageWindowMinutes of each other, one incident replaces their
+    // offline alerts ("MASS_OUTAGE_DETECTION=off" disables it)
+    this.massOutageDetection = process.env.MASS_OUTAGE_DETECTION !== "off";
+    this.massOutagePercent = parseInt(process.env.MASS_OUTAGE_PERCENT) || 50;
+    this.massOutageMinStores =
+      parseInt(process.env.MASS_OUTAGE_MIN_STORES) || 3;
+    this.massOutageWindowMinutes =
+      parseInt(process.env.MASS_OUTAGE_WINDOW_MINUTES) || 10;
+
+    // Flapping: a store with flappingTransitions online/offline changes in
+    // flappingWindowMinutes gets one flapping alert instead of an email per
+    // change, until it has been stable for flappingStableMinutes
+    // ("FLAPPING_DETECTION=off" disables it)
+    this.flappingDetection = process.env.FLAPPING_DETECTION !== "off";
+    this.flappingTransitions = parseInt(process.env.FLAPPING_TRANSITIONS) || 4;
+    this.flappingWindowMinutes =
+      parseInt(process.env.FLAPPING_WINDOW_MINUTES) || 60;
+    this.flappingStableMinutes =
+      parseInt(process.env.FLAPPING_STABLE_MINUTES) || 30;
+
+    // Fleet summary report emails ("off" disables a schedule)
+    this.dailyReportCron = process.env.DAILY_REPORT_CRON || "0 8 * * *";
+    this.weeklyReportCron = process.env.WEEKLY_REPORT_CRON || "0 8 * * 1";
+
+    // Data retention: raw heartbeat_history/system_stats rows older than
+    // rawRetentionDays are rolled up and deleted ("off" disables the job)
+    this.rawRetentionDays = parseInt(process.env.RAW_RETENTION_DAYS) || 14;
+    this.hourlyRollupRetentionDays =
+      parseInt(process.env.HOURLY_ROLLUP_RETENTION_DAYS) || 180;
+    this.retentionCron = process.env.RETENTION_CRON || "30 3 * * *";
+    // Shorter silences aren't kept once the raw heartbeats are deleted
+    this.archivedGapMinSeconds =
+      parseInt(process.env.ARCHIVED_GAP_MIN_SECONDS) || 120;
+
+    // Disk forecasts: the disk trend over the last diskForecastLookbackDays
+    // is projected forward, and stores due to fill up within
+    // diskForecastHorizonDays get an alert ("off" disables the job)
+    this.diskForecastCron = process.env.DISK_FORECAST_CRON || "0 * * * *";
+    this.diskForecastHorizonDays =
+      parseInt(process.env.DISK_FORECAST_HORIZON_DAYS) || 7;
+    this.diskForecastLookbackDays =
+      parseInt(process.env.DISK_FORECAST_LOOKBACK_DAYS) || 7;
+
+    // Network degradation: every speed test in the last
+    // networkDropMinutes was networkDropPercent% or more below the store's
+    // average over the networkBaselineDays before that. The fixed floor is
+    // the network_speed_mbps metric alert rule.
+    this.networkBaselineDays = parseInt(process.env.NETWORK_BASELINE_DAYS) || 7;
+    this.networkDropPercent = parseInt(process.env.NETWORK_DROP_PERCENT) || 50;
+    this.networkDropMinutes = parseInt(process.env.NETWORK_DROP_MINUTES) || 30;
+
+    // Signed heartbeats: "off" ignores signatures, "optional" requires them
+    // only from stores that have been issued a key, "required" from everyone
+    this.heartbeatAuthMode = ["off", "optional", "required"].includes(
+      process.env.HEARTBEAT_AUTH_MODE
+    )
+      ? process.env.HEARTBEAT_AUTH_MODE
+      : "optional";
+    this.signatureToleranceSeconds =
+      parseInt(process.env.HEARTBEAT_SIGNATURE_TOLERANCE_SECONDS) || 300;
+    this.keyRotationGraceMinutes =
+      parseInt(process.env.STORE_KEY_ROTATION_GRACE_MINUTES) || 60;
+    // Store secrets are encrypted with this before they're saved
+    this.credentialsKey = process.env.STORE_CREDENTIALS_KEY || null;
+
+    // Bearer tokens for the admin/ops API ("API_AUTH=off" disables the
+    // checks). ADMIN_API_TOKEN is an admin token for creating the first ones.
+    this.apiAuthEnabled = process.env.API_AUTH !== "off";
+    this.adminTokenHash = process.env.ADMIN_API_TOKEN
+      ? hashApiToken(process.env.ADMIN_API_TOKEN)
+      : null;
+
+    // Live updates on /events/stream. The most recent events are kept so a
+    // client that reconnects with Last-Event-ID gets what it missed.
+    this.eventBufferSize = parseInt(process.env.EVENT_BUFFER_SIZE) || 500;
+    this.eventKeepAliveSeconds =
+      parseInt(process.env.EVENT_KEEPALIVE_SECONDS) || 25;
+
+    // Signed acknowledge links in offline alert emails
+    this.ackSecret = process.env.ALERT_ACK_SECRET || null;
+    this.ackLinkTtlHours = parseInt(process.env.ACK_LINK_TTL_HOURS) || 72;
+    this.publicBaseUrl = (
+      process.env.PUBLIC_BASE_URL ||
+      `http://localhost:${process.env.SERVER_PORT || 3000}`
+    ).replace(/\/$/, "");
+
+    // File paths (email recipients are in the database - see
+    // import-email-config.js for bringing over an old email-config.json)
+    this.alertRulesPath = process.env.ALERT_RULES_PATH || "./alert-rules.json";
+    this.escalationConfigPath =
+      process.env.ESCALATION_CONFIG_PATH || "./escalation-config.json";
+    this.notificationChannelsPath =
+      process.env.NOTIFICATION_CHANNELS_PATH || "./notification-channels.json";
 
     // Central store tracking - This is the main data store for ALL stores
     this.allStores = new Map(); // storeId -> store info
     this.storeMetrics = new Map(); // storeId -> latest metrics
     this.alertHistory = new Map(); // storeId -> alert timestamps
-    this.storeEmailConfig = new Map(); // storeId -> [email1, email2, ...]
+    this.storeEmailConfig = new Map(); // storeId / "default" -> [email1, ...], cached from alert_recipients
+    this.escalationConfig = new Map(); // storeId -> [{ level, after_minutes, recipients }]
+    this.notificationChannels = new Map(); // storeId -> [channel, ...]
+    this.metricAlertRules = {}; // rule name -> threshold rule
+    this.metricBreaches = new Map(); // storeId -> Map(rule name -> breach state)
+    this.cameraStates = new Map(); // storeId -> Map(cameraId -> camera state)
 
     // Alert tracking to prevent spam
     this.lastOfflineAlerts = new Map();
     this.lastRecoveryAlerts = new Map();
     this.lastStartupAlerts = new Map();
+    this.offlineIncidents = new Map(); // storeId -> current offline incident
+    this.massOutages = new Map(); // "fleet" / "group:<id>" -> open mass outage
+    this.storeTransitions = new Map(); // storeId -> [online/offline change times] in the flapping window
+    this.diskForecasts = new Map(); // storeId -> latest disk forecast
+    this.networkDegradations = new Map(); // storeId -> { since, baseline_mbps, recent_mbps }
+    this.flappingStores = new Map(); // storeId -> { alert_id, since, last_transition }
+    this.maintenanceWindows = []; // scheduled windows that are not over yet
+    this.storeCredentials = new Map(); // keyId -> { store_id, secret, expires_at }
+    this.seenSignatures = new Map(); // signature -> when it can be forgotten
+    this.apiTokens = new Map(); // token hash -> { id, name, role, expires_at }
+    this.quarantinedStoreIds = new Set(); // unregistered IDs that sent heartbeats
+    this.alertSettings = new Map(); // "store:<id>" / "group:<id>" / "region:<name>" -> overrides
+    this.storeGroups = new Map(); // groupId -> { id, name, group_type, description, store_ids }
+    this.storeTags = new Map(); // storeId -> Set of tags
+    this.recentEvents = []; // last eventBufferSize events, oldest first
+    this.eventClients = new Set(); // open /events/stream connections
+    this.eventSequence = 0;
+    // Event IDs are "<stream>-<n>", so an ID from before a restart is never
+    // mistaken for one of this run's
+    this.eventStreamId = Date.now().toString(36);
+    // Process-level counters for /metrics, label value -> count
+    this.counters = {
+      heartbeats: new Map(), // result: accepted | quarantined
+      alerts: new Map(), // alert type
+      notificationFailures: new Map(), // channel type
+    };
 
     this.db = pool;
     this.emailEnabled = false;
 
     // Initialize all configurations
     this.loadEmailConfiguration();
+    this.loadMetricAlertRules();
+    this.loadEscalationConfiguration();
+    this.loadNotificationChannels();
     this.initEmailTransporter();
-    this.loadExistingStoresFromDB();
+    // Heartbeats from stores, and requests with tokens, that aren't loaded
+    // yet would be refused, so the server only listens once these are in
+    // (each loader logs and swallows its own errors)
+    this.ready = Promise.all([
+      this.loadExistingStoresFromDB(),
+      this.loadStoreCredentials(),
+      this.loadApiTokens(),
+    ]);
+    this.loadOpenIncidentsFromDB();
+    this.loadOpenMassOutagesFromDB();
+    this.loadFlappingStoresFromDB();
+    this.loadNetworkDegradationsFromDB();
+    this.loadMaintenanceWindows();
+    this.loadAlertSettings();
+    this.loadStoreGroups();
     this.startHealthMonitoring();
 
     console.log(`🚨 Alert threshold: ${this.alertThresholdMinutes} minutes`);
@@ -90,6 +463,11 @@ class CentralizedMonitoringServer {
     console.log(
       `🔍 Health check interval: ${this.healthCheckIntervalMinutes} minutes`
     );
+    if (!this.ackSecret) {
+      console.warn(
+        "⚠️ ALERT_ACK_SECRET not set - offline emails will not include acknowledge links"
+      );
+    }
   }
 
   // Load existing stores from database on startup
@@ -97,12 +475,14 @@ class CentralizedMonitoringServer {
     try {
       console.log("📊 Loading existing stores from database...");
       const [stores] = await this.db.execute(`
-        SELECT store_id, store_name, last_heartbeat, status, created_at, updated_at 
+        SELECT store_id, store_name, address, region, contact_person, contact_phone,
+          expected_heartbeat_interval_seconds, last_heartbeat, status, created_at, updated_at 
         FROM stores
       `);
 
       for (const store of stores) {
         this.allStores.set(store.store_id, {
+          ...this.pickStoreRegistration(store),
           store_id: store.store_id,
           store_name: store.store_name || `Store ${store.store_id}`,
           location: "Unknown", // Will be updated from heartbeat data if available
@@ -125,886 +505,6228 @@ class CentralizedMonitoringServer {
       }
 
       console.log(`✅ Loaded ${stores.length} existing stores from database`);
+
+      const [quarantined] = await this.db.execute(
+        "SELECT store_id FROM quarantined_heartbeats"
+      );
+      this.quarantinedStoreIds = new Set(
+        quarantined.map((row) => row.store_id)
+      );
     } catch (error) {
       console.error(`❌ Error loading stores from database: ${error.message}`);
     }
   }
 
-  // Remove store configuration loading methods since we only use email config
+  // The registry fields of a stores row (or store state)
+  pickStoreRegistration(row) {
+    const registration = {};
+    for (const field of STORE_REGISTRY_FIELDS) {
+      registration[field] = row[field] ?? null;
+    }
+    return registration;
+  }
 
-  // Load email configuration from JSON file
-  loadEmailConfiguration() {
-    try {
-      if (fs.existsSync(this.emailConfigPath)) {
-        const configData = fs.readFileSync(this.emailConfigPath, "utf8");
-        const emailConfig = JSON.parse(configData);
+  // Add a store to the registry. Heartbeats are only accepted from
+  // registered stores.
+  async createStore(registration) {
+    await this.db.execute(
+      `INSERT INTO stores
+       (store_id, ${STORE_REGISTRY_FIELDS.join(", ")}, status)
+       VALUES (?, ${STORE_REGISTRY_FIELDS.map(() => "?").join(
+         ", "
+       )}, 'unknown')`,
+      [
+        registration.store_id,
+        ...STORE_REGISTRY_FIELDS.map((field) => registration[field] ?? null),
+      ]
+    );
 
-        Object.entries(emailConfig).forEach(([storeId, emails]) => {
-          if (Array.isArray(emails)) {
-            this.storeEmailConfig.set(
-              storeId,
-              emails.map((email) => email.trim())
-            );
-            console.log(
-              `📧 Email config loaded for store ${storeId}: ${emails.join(
-                ", "
-              )}`
-            );
-          } else {
-            console.warn(`⚠️ Invalid email config for store ${storeId}`);
-          }
-        });
+    const now = new Date();
+    this.allStores.set(registration.store_id, {
+      ...this.pickStoreRegistration(registration),
+      store_id: registration.store_id,
+      location: "Unknown",
+      status: "unknown",
+      last_heartbeat: null,
+      last_seen: null,
+      data: null,
+      config: {
+        store_name: registration.store_name,
+        location: "Unknown",
+      },
+      metrics: {},
+      updated_at: now,
+      first_seen: now,
+    });
 
-        console.log(
-          `✅ Email configurations loaded: ${this.storeEmailConfig.size} stores`
-        );
-      } else {
-        console.warn(`⚠️ Email config file not found: ${this.emailConfigPath}`);
-        this.createSampleEmailConfig();
-      }
-    } catch (error) {
-      console.error(`❌ Error loading email configuration: ${error.message}`);
+    // Its heartbeats are welcome now
+    await this.db.execute(
+      "DELETE FROM quarantined_heartbeats WHERE store_id = ?",
+      [registration.store_id]
+    );
+    this.quarantinedStoreIds.delete(registration.store_id);
+
+    console.log(
+      `🏪 Registered store ${registration.store_id} (${registration.store_name})`
+    );
+    return this.allStores.get(registration.store_id);
+  }
+
+  // Update the registry fields that were given
+  async updateStore(storeId, changes) {
+    const fields = STORE_REGISTRY_FIELDS.filter(
+      (field) => changes[field] !== undefined
+    );
+    if (fields.length > 0) {
+      await this.db.execute(
+        `UPDATE stores SET ${fields
+          .map((field) => `${field} = ?`)
+          .join(", ")}, updated_at = ? WHERE store_id = ?`,
+        [...fields.map((field) => changes[field]), new Date(), storeId]
+      );
+    }
+
+    const store = this.allStores.get(storeId);
+    for (const field of fields) {
+      store[field] = changes[field];
     }
+    if (store.config) store.config.store_name = store.store_name;
+
+    return store;
   }
 
-  // Create sample email configuration
-  createSampleEmailConfig() {
-    const sampleConfig = {
-      2308: ["krishna@hivoco.com"],
-      2309: ["krishna@hivoco.com"],
-      2310: ["krishna@hivoco.com"],
-      default: ["krishna@hivoco.com"],
-    };
+  // Remove a store from the registry. Its history, alerts and keys go with
+  // it (ON DELETE CASCADE).
+  async deleteStore(storeId) {
+    const [result] = await this.db.execute(
+      "DELETE FROM stores WHERE store_id = ?",
+      [storeId]
+    );
+
+    for (const map of [
+      this.allStores,
+      this.storeMetrics,
+      this.metricBreaches,
+      this.cameraStates,
+      this.offlineIncidents,
+      this.lastOfflineAlerts,
+      this.lastRecoveryAlerts,
+      this.lastStartupAlerts,
+      this.storeTags,
+      this.storeTransitions,
+      this.flappingStores,
+      this.diskForecasts,
+      this.networkDegradations,
+    ]) {
+      map.delete(storeId);
+    }
+    for (const group of this.storeGroups.values()) {
+      group.store_ids.delete(storeId);
+    }
+    for (const outage of this.massOutages.values()) {
+      outage.store_ids.delete(storeId);
+    }
+    for (const [keyId, credential] of this.storeCredentials) {
+      if (credential.store_id === storeId) this.storeCredentials.delete(keyId);
+    }
+    await this.deleteAlertSettings("store", storeId);
+    await this.deleteRecipients(storeId);
+
+    console.log(`🗑️ Removed store ${storeId} from the registry`);
+    return result.affectedRows > 0;
+  }
 
+  // Load the store groups, their members and the store tags
+  async loadStoreGroups() {
     try {
-      fs.writeFileSync(
-        this.emailConfigPath,
-        JSON.stringify(sampleConfig, null, 2)
+      const [groups] = await this.db.execute(
+        "SELECT * FROM store_groups ORDER BY id"
+      );
+      const [members] = await this.db.execute(
+        "SELECT group_id, store_id FROM store_group_members"
       );
+      const [tags] = await this.db.execute(
+        "SELECT store_id, tag FROM store_tags"
+      );
+
+      this.storeGroups.clear();
+      for (const group of groups) {
+        this.storeGroups.set(group.id, {
+          id: group.id,
+          name: group.name,
+          group_type: group.group_type,
+          description: group.description,
+          store_ids: new Set(),
+        });
+      }
+      for (const member of members) {
+        this.storeGroups.get(member.group_id)?.store_ids.add(member.store_id);
+      }
+
+      this.storeTags.clear();
+      for (const row of tags) {
+        if (!this.storeTags.has(row.store_id)) {
+          this.storeTags.set(row.store_id, new Set());
+        }
+        this.storeTags.get(row.store_id).add(row.tag);
+      }
+
       console.log(
-        `📄 Sample email configuration created at ${this.emailConfigPath}`
+        `🏷️ Loaded ${this.storeGroups.size} store groups and tags for ${this.storeTags.size} stores`
       );
     } catch (error) {
-      console.error(`❌ Error creating sample email config: ${error.message}`);
+      console.error(`❌ Error loading store groups: ${error.message}`);
     }
   }
 
-  // Initialize email transporter
-  initEmailTransporter() {
-    if (!process.env.EMAIL_USER || !process.env.EMAIL_PASSWORD) {
-      console.warn("⚠️ Email credentials missing! Alerts will not be sent.");
-      this.emailEnabled = false;
-      return;
-    }
-
-    this.emailConfig = {
-      service: process.env.EMAIL_SERVICE || "gmail",
-      auth: {
-        user: process.env.EMAIL_USER,
-        pass: process.env.EMAIL_PASSWORD,
-      },
+  // A group as returned by the API
+  describeStoreGroup(group) {
+    return {
+      id: group.id,
+      name: group.name,
+      group_type: group.group_type,
+      description: group.description,
+      store_ids: [...group.store_ids].sort(),
+      store_count: group.store_ids.size,
     };
+  }
 
-    this.transporter = nodemailer.createTransport({
-      service: this.emailConfig.service,
-      auth: this.emailConfig.auth,
-    });
+  // Look a group up by its ID or its name
+  findStoreGroup(idOrName) {
+    const id = Number(idOrName);
+    if (Number.isInteger(id) && this.storeGroups.has(id)) {
+      return this.storeGroups.get(id);
+    }
+    return (
+      [...this.storeGroups.values()].find((group) => group.name === idOrName) ||
+      null
+    );
+  }
 
-    this.emailEnabled = true;
-    console.log(
-      `📧 Email transporter configured: ${this.emailConfig.auth.user}`
+  // The groups a store belongs to, oldest first
+  getStoreGroups(storeId) {
+    return [...this.storeGroups.values()].filter((group) =>
+      group.store_ids.has(storeId)
     );
   }
 
-  // Get email recipients for a store
-  getEmailRecipients(storeId) {
-    const storeEmails = this.storeEmailConfig.get(storeId) || [];
-    const defaultEmails = this.storeEmailConfig.get("default") || [];
+  getStoreTags(storeId) {
+    return [...(this.storeTags.get(storeId) || [])].sort();
+  }
 
-    // Use store-specific emails if available, otherwise use default
-    const allEmails = storeEmails.length > 0 ? storeEmails : defaultEmails;
+  // IDs of the stores matching all of the given filters (a group from
+  // findStoreGroup, a tag, a region)
+  filterStoreIds({ group = null, tag = null, region = null } = {}) {
+    return [...this.allStores.keys()].filter(
+      (storeId) =>
+        (!group || group.store_ids.has(storeId)) &&
+        (!tag || this.storeTags.get(storeId)?.has(tag)) &&
+        (!region || this.allStores.get(storeId).region === region)
+    );
+  }
 
-    if (allEmails.length === 0) {
-      console.warn(`⚠️ No email recipients configured for store ${storeId}`);
+  async createStoreGroup(
+    { name, group_type = null, description = null, store_ids = [] },
+    createdBy = null
+  ) {
+    const [result] = await this.db.execute(
+      `INSERT INTO store_groups (name, group_type, description, created_by)
+       VALUES (?, ?, ?, ?)`,
+      [name, group_type, description, createdBy]
+    );
+
+    const group = {
+      id: result.insertId,
+      name,
+      group_type,
+      description,
+      store_ids: new Set(),
+    };
+    this.storeGroups.set(group.id, group);
+    if (store_ids.length > 0) {
+      await this.setStoreGroupMembers(group.id, store_ids);
     }
 
-    return allEmails;
+    console.log(`🏷️ Created store group "${name}" (#${group.id})`);
+    return group;
   }
 
-  // MAIN HEARTBEAT PROCESSOR - This handles heartbeats from ALL stores
-  async processHeartbeat(heartbeatData) {
-    const storeId = heartbeatData.store_id;
-    const timestamp = new Date();
+  async updateStoreGroup(groupId, changes) {
+    const fields = ["name", "group_type", "description"].filter(
+      (field) => changes[field] !== undefined
+    );
+    if (fields.length > 0) {
+      await this.db.execute(
+        `UPDATE store_groups SET ${fields
+          .map((field) => `${field} = ?`)
+          .join(", ")} WHERE id = ?`,
+        [...fields.map((field) => changes[field]), groupId]
+      );
+    }
 
-    // Get store information from heartbeat data or use defaults
-    const storeName = heartbeatData.store_name || `Store ${storeId}`;
-    const storeLocation = heartbeatData.location_info?.timezone || "Unknown";
+    const group = this.storeGroups.get(groupId);
+    for (const field of fields) {
+      group[field] = changes[field];
+    }
+    if (changes.store_ids) {
+      await this.setStoreGroupMembers(groupId, changes.store_ids);
+    }
+    return group;
+  }
 
-    // Get previous state
-    const previousState = this.allStores.get(storeId);
-    const wasOffline = previousState?.status === "offline";
-    const isFirstHeartbeat = !previousState;
-    const isStartup = heartbeatData.is_startup === true;
+  // Replace the stores in a group
+  async setStoreGroupMembers(groupId, storeIds) {
+    const connection = await this.db.getConnection();
+    try {
+      await connection.beginTransaction();
+      await connection.execute(
+        "DELETE FROM store_group_members WHERE group_id = ?",
+        [groupId]
+      );
+      for (const storeId of storeIds) {
+        await connection.execute(
+          "INSERT INTO store_group_members (group_id, store_id) VALUES (?, ?)",
+          [groupId, storeId]
+        );
+      }
+      await connection.commit();
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
 
-    console.log(
-      `   📊 Previous state: ${previousState ? previousState.status : "NEW"}`
+    this.storeGroups.get(groupId).store_ids = new Set(storeIds);
+  }
+
+  // Delete a group along with its recipients and alert settings
+  async deleteStoreGroup(groupId) {
+    const [result] = await this.db.execute(
+      "DELETE FROM store_groups WHERE id = ?",
+      [groupId]
     );
-    console.log(`   🆕 Is first heartbeat: ${isFirstHeartbeat}`);
-    console.log(`   🚀 Is startup flag: ${isStartup}`);
-    console.log(`   ❌ Was offline: ${wasOffline}`);
+    this.storeGroups.delete(groupId);
+    await this.deleteAlertSettings("group", String(groupId));
+    await this.deleteRecipients(`group:${groupId}`);
 
-    // Update store state in central tracking
-    const storeState = {
-      store_id: storeId,
-      store_name: storeName,
-      location: storeLocation,
-      status: "online", // Always online when receiving heartbeat
-      last_heartbeat: timestamp,
-      last_seen: timestamp,
-      data: heartbeatData,
-      config: {
-        store_name: storeName,
-        location: storeLocation,
-      },
-      metrics: this.extractMetrics(heartbeatData),
-      updated_at: timestamp,
-      first_seen: previousState?.first_seen || timestamp,
-    };
+    return result.affectedRows > 0;
+  }
 
-    this.allStores.set(storeId, storeState);
-    this.storeMetrics.set(storeId, storeState.metrics);
+  // Replace a store's tags
+  async setStoreTags(storeId, tags) {
+    const connection = await this.db.getConnection();
+    try {
+      await connection.beginTransaction();
+      await connection.execute("DELETE FROM store_tags WHERE store_id = ?", [
+        storeId,
+      ]);
+      for (const tag of tags) {
+        await connection.execute(
+          "INSERT INTO store_tags (store_id, tag) VALUES (?, ?)",
+          [storeId, tag]
+        );
+      }
+      await connection.commit();
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
 
-    // Save to database using existing schema
-    await this.saveHeartbeatToDatabase(storeId, heartbeatData, timestamp);
+    if (tags.length > 0) {
+      this.storeTags.set(storeId, new Set(tags));
+    } else {
+      this.storeTags.delete(storeId);
+    }
+  }
 
-    // Handle alerts - improved logic to match your old behavior
-    if (isFirstHeartbeat) {
-      console.log(
-        `   🚀 FIRST HEARTBEAT for store ${storeId} - sending startup alert`
-      );
-      await this.sendAlert(
-        storeId,
-        "startup",
-        `Store ${storeName} (${storeId}) has come online`,
-        "low",
-        heartbeatData
+  // Keep track of heartbeats from store IDs that aren't registered, rather
+  // than creating stores for them
+  async quarantineHeartbeat(heartbeatData, sourceIp, timestamp) {
+    const storeId = String(heartbeatData.store_id);
+
+    if (!this.quarantinedStoreIds.has(storeId)) {
+      console.warn(
+        `⚠️ Heartbeat from unregistered store ${storeId} (${
+          heartbeatData.store_name || "no name"
+        }, ${sourceIp}) - quarantined`
       );
-      this.lastStartupAlerts.set(storeId, timestamp);
-    } else if (isStartup) {
-      // Check if we already sent a startup alert recently to avoid spam
-      const lastStartup = this.lastStartupAlerts.get(storeId);
-      const shouldSendStartup =
-        !lastStartup || (timestamp - lastStartup) / (1000 * 60) > 10; // 10 minute cooldown
+    }
+    this.quarantinedStoreIds.add(storeId);
 
-      if (shouldSendStartup) {
-        console.log(
-          `   🚀 STARTUP HEARTBEAT for store ${storeId} - sending startup alert`
-        );
-        await this.sendAlert(
+    try {
+      await this.db.execute(
+        `INSERT INTO quarantined_heartbeats
+         (store_id, reported_store_name, source_ip, heartbeat_count, first_seen_at, last_seen_at, last_payload)
+         VALUES (?, ?, ?, 1, ?, ?, ?)
+         ON DUPLICATE KEY UPDATE
+           reported_store_name = VALUES(reported_store_name),
+           source_ip = VALUES(source_ip),
+           heartbeat_count = heartbeat_count + 1,
+           last_seen_at = VALUES(last_seen_at),
+           last_payload = VALUES(last_payload)`,
+        [
           storeId,
-          "startup",
-          `Store ${storeName} (${storeId}) has started up and is now online`,
-          "low",
-          heartbeatData
+          heartbeatData.store_name || null,
+          sourceIp || null,
+          timestamp,
+          timestamp,
+          JSON.stringify(heartbeatData),
+        ]
+      );
+    } catch (error) {
+      console.error(
+        `❌ Error quarantining heartbeat from ${storeId}: ${error.message}`
+      );
+    }
+  }
+
+  // Rebuild in-progress offline incidents (and their acknowledgements) so a
+  // restart doesn't resume repeat emails that someone already acknowledged
+  async loadOpenIncidentsFromDB() {
+    try {
+      const [alerts] = await this.db.execute(
+        `SELECT id, store_id, timestamp, escalation_level, acknowledged_by, acknowledged_at
+         FROM alerts
+         WHERE alert_type = 'offline' AND resolved = FALSE
+         ORDER BY id`
+      );
+
+      for (const alert of alerts) {
+        const incident = this.openOfflineIncident(
+          alert.store_id,
+          new Date(alert.timestamp)
         );
-        this.lastStartupAlerts.set(storeId, timestamp);
-      } else {
-        console.log(
-          `   ⏭️ Startup alert skipped for ${storeId} (cooldown active)`
+        incident.alert_id = incident.alert_id || alert.id;
+        incident.escalation_level = Math.max(
+          incident.escalation_level,
+          alert.escalation_level || 1
         );
-      }
-    } else if (wasOffline) {
-      console.log(`   ✅ Store ${storeId} recovered from offline state`);
-      const lastRecovery = this.lastRecoveryAlerts.get(storeId);
-      const shouldSendRecovery =
-        !lastRecovery || (timestamp - lastRecovery) / (1000 * 60) > 5; // 5 minute cooldown
 
-      if (shouldSendRecovery) {
-        await this.sendAlert(
-          storeId,
-          "recovery",
-          `Store ${storeName} (${storeId}) has recovered and is back online`,
-          "medium",
-          heartbeatData
-        );
-        this.lastRecoveryAlerts.set(storeId, timestamp);
+        if (alert.acknowledged_at && !incident.acknowledged_at) {
+          incident.acknowledged_by = alert.acknowledged_by;
+          incident.acknowledged_at = new Date(alert.acknowledged_at);
+        }
       }
+
+      console.log(
+        `✅ Loaded ${this.offlineIncidents.size} open offline incidents from database`
+      );
+    } catch (error) {
+      console.error(`❌ Error loading open incidents: ${error.message}`);
     }
+  }
 
-    console.log(`   ✅ Heartbeat processed successfully for store ${storeId}`);
+  // Rebuild open mass outages so a restart doesn't go back to alerting for
+  // each of their stores
+  async loadOpenMassOutagesFromDB() {
+    try {
+      const [rows] = await this.db.execute(
+        `SELECT a.id, a.alert_key, a.timestamp, m.store_id
+         FROM alerts a
+         JOIN mass_outage_stores m ON m.alert_id = a.id
+         WHERE a.alert_type = 'mass_outage' AND a.resolved = FALSE
+         ORDER BY a.id`
+      );
 
-    return {
-      status: "success",
-      message: "Heartbeat processed",
-      store_name: storeName,
-      total_stores_monitored: this.allStores.size,
-    };
+      for (const row of rows) {
+        if (!this.massOutages.has(row.alert_key)) {
+          this.massOutages.set(row.alert_key, {
+            alert_id: row.id,
+            scope: row.alert_key,
+            started_at: new Date(row.timestamp),
+            store_ids: new Set(),
+          });
+        }
+        this.massOutages.get(row.alert_key).store_ids.add(row.store_id);
+      }
+
+      console.log(
+        `✅ Loaded ${this.massOutages.size} open mass outages from database`
+      );
+    } catch (error) {
+      console.error(`❌ Error loading open mass outages: ${error.message}`);
+    }
   }
 
-  // Extract key metrics from heartbeat data
-  extractMetrics(heartbeatData) {
-    const sys = heartbeatData.system_stats || {};
-    const cam = heartbeatData.camera_status || {};
-    const app = heartbeatData.application_stats || {};
-    const net = heartbeatData.network_info || {};
+  // Stores with an open flapping alert stay flapping after a restart. Their
+  // stable time counts from the alert, as the transitions themselves are
+  // only kept in memory.
+  async loadFlappingStoresFromDB() {
+    try {
+      const [alerts] = await this.db.execute(
+        `SELECT id, store_id, timestamp
+         FROM alerts
+         WHERE alert_type = 'flapping' AND resolved = FALSE
+         ORDER BY id`
+      );
 
-    return {
-      cpu_usage: sys.cpu_usage_percent,
-      memory_usage: sys.memory_usage_percent,
-      memory_available_gb: sys.memory_available_gb,
-      disk_free_gb: sys.disk_free_gb,
-      disk_usage: sys.disk_usage_percent,
-      network_connected: sys.network_connected,
-      network_speed_mbps: sys.network_speed_mbps || net.current_speed_mbps,
-      cameras_active: cam.active_cameras,
-      cameras_total: cam.total_cameras,
-      process_memory_mb: sys.process_memory_mb,
-      uptime_hours: sys.uptime_hours,
-      detections_today: app.total_detections_today,
-      last_detection: app.last_detection_time,
-      application_version: app.application_version,
-      node_version: app.node_version,
-    };
+      for (const alert of alerts) {
+        this.flappingStores.set(alert.store_id, {
+          alert_id: alert.id,
+          since: new Date(alert.timestamp),
+          last_transition: new Date(alert.timestamp),
+        });
+      }
+
+      console.log(
+        `✅ Loaded ${this.flappingStores.size} flapping stores from database`
+      );
+    } catch (error) {
+      console.error(`❌ Error loading flapping stores: ${error.message}`);
+    }
   }
 
-  // Save heartbeat to database using existing schema
-  async saveHeartbeatToDatabase(storeId, heartbeatData, timestamp) {
+  // Open network degradation alerts, so they aren't raised again on restart
+  async loadNetworkDegradationsFromDB() {
     try {
-      const connection = await this.db.getConnection();
-
-      try {
-        await connection.beginTransaction();
-
-        // Update/insert store using existing schema
-        await connection.execute(
-          `INSERT INTO stores (store_id, store_name, last_heartbeat, status, updated_at)
-           VALUES (?, ?, ?, 'online', ?)
-           ON DUPLICATE KEY UPDATE
-           store_name = VALUES(store_name),
-           last_heartbeat = VALUES(last_heartbeat),
-           status = 'online',
-           updated_at = VALUES(updated_at)`,
-          [
-            storeId,
-            heartbeatData.store_name || `Store ${storeId}`,
-            timestamp,
-            timestamp,
-          ]
-        );
-
-        // Insert heartbeat history using existing schema
-        await connection.execute(
-          `INSERT INTO heartbeat_history
-           (store_id, timestamp, cpu_usage, memory_usage, disk_free_gb, active_cameras, 
-            total_cameras, network_connected, payload)
-           VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-          [
-            storeId,
-            timestamp,
-            heartbeatData.system_stats?.cpu_usage_percent,
-            heartbeatData.system_stats?.memory_usage_percent,
-            heartbeatData.system_stats?.disk_free_gb,
-            heartbeatData.camera_status?.active_cameras,
-            heartbeatData.camera_status?.total_cameras,
-            heartbeatData.system_stats?.network_connected,
-            JSON.stringify(heartbeatData),
-          ]
-        );
-
-        // Insert system stats using existing schema
-        await connection.execute(
-          `INSERT INTO system_stats
-           (store_id, timestamp, cpu_usage, memory_usage, memory_available_gb, disk_free_gb,
-            disk_usage_percent, process_memory_mb, uptime_hours, network_connected)
-           VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-          [
-            storeId,
-            timestamp,
-            heartbeatData.system_stats?.cpu_usage_percent,
-            heartbeatData.system_stats?.memory_usage_percent,
-            heartbeatData.system_stats?.memory_available_gb,
-            heartbeatData.system_stats?.disk_free_gb,
-            heartbeatData.system_stats?.disk_usage_percent,
-            heartbeatData.system_stats?.process_memory_mb,
-            heartbeatData.system_stats?.uptime_hours,
-            heartbeatData.system_stats?.network_connected,
-          ]
-        );
+      const [alerts] = await this.db.execute(
+        `SELECT store_id, timestamp
+         FROM alerts
+         WHERE alert_type = 'system_warning' AND alert_key = 'network:baseline'
+           AND resolved = FALSE`
+      );
 
-        await connection.commit();
-        console.log(`   💾 Data saved to database for store ${storeId}`);
-      } catch (dbError) {
-        await connection.rollback();
-        throw dbError;
-      } finally {
-        connection.release();
+      for (const alert of alerts) {
+        this.networkDegradations.set(alert.store_id, {
+          since: new Date(alert.timestamp),
+          baseline_mbps: null,
+          recent_mbps: null,
+        });
       }
     } catch (error) {
-      console.error(
-        `   ❌ Database error for store ${storeId}:`,
-        error.message
-      );
+      console.error(`❌ Error loading network degradations: ${error.message}`);
     }
   }
 
-  // CENTRALIZED HEALTH MONITORING - Checks ALL stores
-  async performHealthCheck() {
-    const timestamp = new Date();
-    console.log(`\n${"=".repeat(80)}`);
-    console.log(`🔍 [${timestamp.toISOString()}] CENTRALIZED HEALTH CHECK`);
-    console.log(`📊 Monitoring ${this.allStores.size} stores total`);
-
-    let onlineCount = 0;
-    let offlineCount = 0;
-    let alertsSent = 0;
+  // Remove store configuration loading methods since we only use email config
 
-    // Check each store's health
-    for (const [storeId, store] of this.allStores) {
-      if (!store.last_heartbeat) {
+  // Load the alert email recipient lists from the database
+  async loadEmailConfiguration() {
+    try {
+      this.storeEmailConfig = await loadRecipientLists(this.db);
+      for (const [scopeId, emails] of this.storeEmailConfig) {
         console.log(
-          `\n🏪 ${store.store_name} (${storeId}) - No heartbeat data yet`
+          `📧 Email recipients loaded for ${scopeId}: ${emails.join(", ")}`
         );
-        continue;
       }
+      console.log(
+        `✅ Email recipients loaded: ${this.storeEmailConfig.size} lists`
+      );
 
-      const minutesSinceLastHeartbeat =
-        (timestamp - store.last_heartbeat) / (1000 * 60);
-      const isOffline = minutesSinceLastHeartbeat > this.alertThresholdMinutes;
+      if (this.storeEmailConfig.size === 0) {
+        console.warn(
+          "⚠️ No email recipients configured - add them through /recipients/default and /stores/STORE_ID/recipients, or run import-email-config.js"
+        );
+      }
+    } catch (error) {
+      console.error(`❌ Error loading email recipients: ${error.message}`);
+    }
+  }
 
-      console.log(`\n🏪 ${store.store_name} (${storeId})`);
-      console.log(`   📍 Location: ${store.location}`);
+  // Replace a store's (or the "default"/"reports") recipient list
+  async setRecipients(scopeId, recipients, changedBy = null) {
+    const connection = await this.db.getConnection();
+    try {
+      const previous = await replaceRecipients(
+        connection,
+        scopeId,
+        recipients,
+        { changedBy }
+      );
+      this.storeEmailConfig.set(scopeId, recipients);
       console.log(
-        `   💓 Last heartbeat: ${store.last_heartbeat.toISOString()}`
+        `📧 Recipients for ${scopeId} set to ${recipients.join(", ")}${
+          changedBy ? ` by ${changedBy}` : ""
+        }`
       );
-      console.log(`   ⏰ Minutes ago: ${minutesSinceLastHeartbeat.toFixed(1)}`);
-      console.log(`   📊 Current status: ${store.status}`);
-
-      if (isOffline) {
-        console.log(`   ❌ STORE IS OFFLINE`);
+      return previous;
+    } finally {
+      connection.release();
+    }
+  }
 
-        // Only send alert if status changed or cooldown expired
-        if (store.status !== "offline") {
-          // Store just went offline
-          store.status = "offline";
-          await this.updateStoreStatusInDB(storeId, "offline", timestamp);
+  // Remove a recipient list. Stores fall back to the default list.
+  async deleteRecipients(scopeId, changedBy = null) {
+    if (!this.storeEmailConfig.has(scopeId)) return false;
 
-          await this.sendAlert(
-            storeId,
-            "offline",
-            `Store ${
-              store.store_name
-            } (${storeId}) has gone offline. Last seen: ${store.last_heartbeat.toLocaleString()}`,
-            "critical"
-          );
+    const connection = await this.db.getConnection();
+    try {
+      await replaceRecipients(connection, scopeId, [], {
+        changedBy,
+        action: "delete",
+      });
+      this.storeEmailConfig.delete(scopeId);
+      console.log(`📧 Recipients for ${scopeId} removed`);
+      return true;
+    } finally {
+      connection.release();
+    }
+  }
 
-          alertsSent++;
-          console.log(`   🚨 FIRST offline alert sent`);
-        } else if (this.canSendOfflineAlert(storeId)) {
-          // Send repeat offline alert
-          const duration = this.formatDuration(
-            minutesSinceLastHeartbeat * 60 * 1000
-          );
+  // Load metric threshold rules, merging ALERT_RULES_PATH over the defaults
+  loadMetricAlertRules() {
+    const rules = {};
+    for (const [name, rule] of Object.entries(DEFAULT_METRIC_ALERT_RULES)) {
+      rules[name] = { ...rule };
+    }
 
-          await this.sendAlert(
-            storeId,
-            "offline",
-            `Store ${
-              store.store_name
-            } (${storeId}) has been offline for ${duration}. Last seen: ${store.last_heartbeat.toLocaleString()}`,
-            "critical"
-          );
+    try {
+      if (fs.existsSync(this.alertRulesPath)) {
+        const overrides = JSON.parse(
+          fs.readFileSync(this.alertRulesPath, "utf8")
+        );
 
-          alertsSent++;
-          console.log(`   🚨 REPEAT offline alert sent (${duration})`);
-        }
+        Object.entries(overrides).forEach(([name, override]) => {
+          if (!rules[name]) {
+            console.warn(`⚠️ Unknown metric alert rule ignored: ${name}`);
+            return;
+          }
+          rules[name] = { ...rules[name], ...override };
+        });
 
-        offlineCount++;
+        console.log(`✅ Metric alert rules loaded from ${this.alertRulesPath}`);
       } else {
-        console.log(`   ✅ STORE IS ONLINE`);
-        onlineCount++;
+        console.log("📏 Using default metric alert rules");
       }
+    } catch (error) {
+      console.error(`❌ Error loading metric alert rules: ${error.message}`);
     }
 
-    // Also check database for any stores not in memory
-    await this.syncWithDatabase(timestamp);
-
-    console.log(`\n📈 HEALTH CHECK SUMMARY:`);
-    console.log(`   🟢 Online stores: ${onlineCount}`);
-    console.log(`   🔴 Offline stores: ${offlineCount}`);
-    console.log(`   📧 Alerts sent: ${alertsSent}`);
-    console.log(`   🏭 Total stores monitored: ${this.allStores.size}`);
-    console.log(`${"=".repeat(80)}\n`);
+    this.metricAlertRules = rules;
   }
 
-  // Sync with database to find any stores not in memory
-  async syncWithDatabase(timestamp) {
+  // Load escalation levels. Level 1 is always the store's normal recipients
+  // from email-config.json; this file adds level 2+ per store or "default".
+  loadEscalationConfiguration() {
+    this.escalationConfig.clear();
+
     try {
-      const [dbStores] = await this.db.execute(
-        `SELECT store_id, store_name, last_heartbeat, status FROM stores`
-      );
+      if (!fs.existsSync(this.escalationConfigPath)) {
+        console.log(
+          `📶 No escalation config at ${this.escalationConfigPath} - offline alerts stay at level 1`
+        );
+        return;
+      }
 
-      for (const dbStore of dbStores) {
-        if (!this.allStores.has(dbStore.store_id)) {
-          console.log(
-            `🔄 Found store ${dbStore.store_id} in DB but not in memory, adding...`
-          );
+      const config = JSON.parse(
+        fs.readFileSync(this.escalationConfigPath, "utf8")
+      );
 
-          this.allStores.set(dbStore.store_id, {
-            store_id: dbStore.store_id,
-            store_name: dbStore.store_name || `Store ${dbStore.store_id}`,
-            location: "Unknown",
-            status: dbStore.status,
-            last_heartbeat: dbStore.last_heartbeat
-              ? new Date(dbStore.last_heartbeat)
-              : null,
-            last_seen: dbStore.last_heartbeat
-              ? new Date(dbStore.last_heartbeat)
-              : null,
-            config: {
-              store_name: dbStore.store_name || `Store ${dbStore.store_id}`,
-              location: "Unknown",
-            },
-            data: null,
-            metrics: {},
-            updated_at: timestamp,
-            first_seen: dbStore.last_heartbeat
-              ? new Date(dbStore.last_heartbeat)
-              : timestamp,
-          });
+      Object.entries(config).forEach(([storeId, levels]) => {
+        if (!Array.isArray(levels)) {
+          console.warn(`⚠️ Invalid escalation config for store ${storeId}`);
+          return;
         }
-      }
+
+        const validLevels = levels
+          .filter(
+            (level) =>
+              Number(level.after_minutes) > 0 &&
+              Array.isArray(level.recipients) &&
+              level.recipients.length > 0
+          )
+          .sort((a, b) => a.after_minutes - b.after_minutes)
+          .map((level, index) => ({
+            level: index + 2,
+            after_minutes: Number(level.after_minutes),
+            recipients: level.recipients.map((email) => email.trim()),
+          }));
+
+        this.escalationConfig.set(storeId, validLevels);
+        console.log(
+          `📶 Escalation config loaded for store ${storeId}: ${validLevels
+            .map((level) => `L${level.level} after ${level.after_minutes}m`)
+            .join(", ")}`
+        );
+      });
     } catch (error) {
-      console.error(`❌ Error syncing with database: ${error.message}`);
+      console.error(
+        `❌ Error loading escalation configuration: ${error.message}`
+      );
     }
   }
 
-  // Update store status in database
-  async updateStoreStatusInDB(storeId, status, timestamp) {
-    try {
-      await this.db.execute(
-        `UPDATE stores SET status = ?, updated_at = ? WHERE store_id = ?`,
-        [status, timestamp, storeId]
-      );
-    } catch (error) {
-      console.error(`❌ Error updating store status: ${error.message}`);
-    }
+  // Escalation levels above level 1 for a store (store-specific or default)
+  getEscalationLevels(storeId) {
+    return (
+      this.escalationConfig.get(storeId) ||
+      this.escalationConfig.get("default") ||
+      []
+    );
   }
 
-  // Check if we can send offline alert (prevent spam)
-  canSendOfflineAlert(storeId) {
-    const lastAlert = this.lastOfflineAlerts.get(storeId);
-    if (!lastAlert) {
-      this.lastOfflineAlerts.set(storeId, new Date());
-      return true;
-    }
+  // Everyone who should hear about an incident at the given level - each
+  // level adds its recipients to the ones already being notified
+  getEscalationRecipients(storeId, level = 1) {
+    const recipients = [...this.getEmailRecipients(storeId)];
 
-    const minutesSince = (new Date() - lastAlert) / (1000 * 60);
-    if (minutesSince >= this.offlineAlertCooldownMinutes) {
-      this.lastOfflineAlerts.set(storeId, new Date());
-      return true;
+    for (const escalation of this.getEscalationLevels(storeId)) {
+      if (escalation.level > level) break;
+      recipients.push(...escalation.recipients);
     }
 
-    return false;
+    return [...new Set(recipients)];
   }
 
-  // Send email alert using existing alerts table schema
-  async sendAlert(
-    storeId,
-    alertType,
-    message,
-    severity = "medium",
-    storeData = null
-  ) {
-    try {
-      // Map alert types to match existing schema and improve logging
-      const alertTypeMapping = {
-        startup: "test", // Using test as closest match for startup
-        recovery: "test", // Using test as closest match for recovery
-        offline: "offline",
-      };
+  // The next escalation level an incident has become due for, if any.
+  // Acknowledged incidents don't escalate.
+  getDueEscalation(storeId, incident, timestamp) {
+    if (incident.acknowledged_at) return null;
 
-      const dbAlertType = alertTypeMapping[alertType] || "offline";
+    const minutesOpen = (timestamp - incident.started_at) / (1000 * 60);
+    const due = this.getEscalationLevels(storeId).filter(
+      (escalation) =>
+        escalation.level > incident.escalation_level &&
+        minutesOpen >= escalation.after_minutes
+    );
 
-      // Store alert in database using existing schema
-      await this.db.execute(
-        `INSERT INTO alerts (store_id, alert_type, message, severity, timestamp)
-         VALUES (?, ?, ?, ?, ?)`,
-        [storeId, dbAlertType, message, severity, new Date()]
-      );
+    return due.length > 0 ? due[due.length - 1] : null;
+  }
 
-      console.log(
-        `   📝 Alert stored in database: ${alertType} for store ${storeId}`
-      );
+  // Load notification channels per store. Without a config file (or for
+  // stores it doesn't list) alerts go out by email only, as before.
+  loadNotificationChannels() {
+    this.notificationChannels.clear();
+    this.defaultEmailChannel = new EmailChannel({}, this);
 
-      if (!this.emailEnabled) {
-        console.log(
-          `   📧 Email disabled - would send ${alertType} alert for ${storeId}`
-        );
+    try {
+      if (!fs.existsSync(this.notificationChannelsPath)) {
+        console.log("📣 No notification channel config - using email only");
         return;
       }
 
-      const recipients = this.getEmailRecipients(storeId);
-      if (recipients.length === 0) {
-        console.log(`   📧 No email recipients for store ${storeId}`);
-        return;
-      }
+      const config = JSON.parse(
+        fs.readFileSync(this.notificationChannelsPath, "utf8")
+      );
 
-      const storeInfo = this.allStores.get(storeId);
-      const mailOptions = {
-        from: this.emailConfig.auth.user,
-        to: recipients.join(", "),
-        subject: this.createEmailSubject(
-          storeId,
-          alertType,
-          severity,
-          storeInfo
-        ),
-        html: this.createEmailBody(
-          storeId,
-          alertType,
-          message,
-          severity,
-          storeData,
-          storeInfo
+      Object.entries(config).forEach(([storeId, channelConfigs]) => {
+        if (!Array.isArray(channelConfigs)) {
+          console.warn(`⚠️ Invalid channel config for store ${storeId}`);
+          return;
+        }
+
+        const channels = [];
+        const descriptions = [];
+        for (const channelConfig of channelConfigs) {
+          try {
+            const channel = createNotificationChannel(channelConfig, this);
+            descriptions.push(channel.describe());
+            channels.push(channel);
+          } catch (error) {
+            console.warn(
+              `⚠️ Skipping channel for store ${storeId}: ${error.message}`
+            );
+          }
+        }
+
+        this.notificationChannels.set(storeId, channels);
+        console.log(
+          `📣 Channels for store ${storeId}: ${descriptions.join(", ")}`
+        );
+      });
+    } catch (error) {
+      console.error(`❌ Error loading notification channels: ${error.message}`);
+    }
+  }
+
+  // Channels a store's alerts go out on (store-specific, default, or email)
+  getNotificationChannels(storeId) {
+    return (
+      this.notificationChannels.get(storeId) ||
+      this.notificationChannels.get("default") || [this.defaultEmailChannel]
+    );
+  }
+
+  // Initialize email transporter
+  initEmailTransporter() {
+    if (!process.env.EMAIL_USER || !process.env.EMAIL_PASSWORD) {
+      console.warn("⚠️ Email credentials missing! Alerts will not be sent.");
+      this.emailEnabled = false;
+      return;
+    }
+
+    this.emailConfig = {
+      service: process.env.EMAIL_SERVICE || "gmail",
+      auth: {
+        user: process.env.EMAIL_USER,
+        pass: process.env.EMAIL_PASSWORD,
+      },
+    };
+
+    this.transporter = nodemailer.createTransport({
+      service: this.emailConfig.service,
+      auth: this.emailConfig.auth,
+    });
+
+    this.emailEnabled = true;
+    console.log(
+      `📧 Email transporter configured: ${this.emailConfig.auth.user}`
+    );
+  }
+
+  // Get email recipients for a store: its own list (or the default one if
+  // it has none), plus the lists of its groups and region
+  getEmailRecipients(storeId) {
+    const storeEmails = this.storeEmailConfig.get(storeId) || [];
+    const defaultEmails = this.storeEmailConfig.get("default") || [];
+    const region = this.allStores.get(storeId)?.region;
+
+    const allEmails = [
+      ...new Set([
+        ...(storeEmails.length > 0 ? storeEmails : defaultEmails),
+        ...this.getStoreGroups(storeId).flatMap(
+          (group) => this.storeEmailConfig.get(`group:${group.id}`) || []
         ),
+        ...(region ? this.storeEmailConfig.get(`region:${region}`) || [] : []),
+      ]),
+    ];
+
+    if (allEmails.length === 0) {
+      console.warn(`⚠️ No email recipients configured for store ${storeId}`);
+    }
+
+    return allEmails;
+  }
+
+  // MAIN HEARTBEAT PROCESSOR - This handles heartbeats from ALL stores
+  async processHeartbeat(heartbeatData, sourceIp = null) {
+    const storeId = String(heartbeatData.store_id);
+    const timestamp = new Date();
+
+    // Get previous state
+    const previousState = this.allStores.get(storeId);
+    if (!previousState) {
+      this.incrementCounter("heartbeats", "quarantined");
+      await this.quarantineHeartbeat(heartbeatData, sourceIp, timestamp);
+      return {
+        status: "quarantined",
+        message: `Store ${storeId} is not registered`,
       };
+    }
+
+    this.incrementCounter("heartbeats", "accepted");
+
+    // The registry has the official name; location still comes from the store
+    const storeName = previousState.store_name;
+    const storeLocation = heartbeatData.location_info?.timezone || "Unknown";
+
+    const wasOffline = previousState.status === "offline";
+    const isFirstHeartbeat = !previousState.last_heartbeat;
+    const isStartup = heartbeatData.is_startup === true;
+
+    console.log(
+      `   📊 Previous state: ${previousState ? previousState.status : "NEW"}`
+    );
+    console.log(`   🆕 Is first heartbeat: ${isFirstHeartbeat}`);
+    console.log(`   🚀 Is startup flag: ${isStartup}`);
+    console.log(`   ❌ Was offline: ${wasOffline}`);
+
+    // Update store state in central tracking
+    const storeState = {
+      ...this.pickStoreRegistration(previousState),
+      store_id: storeId,
+      store_name: storeName,
+      location: storeLocation,
+      status: "online", // Always online when receiving heartbeat
+      last_heartbeat: timestamp,
+      last_seen: timestamp,
+      data: heartbeatData,
+      config: {
+        store_name: storeName,
+        location: storeLocation,
+      },
+      metrics: this.extractMetrics(heartbeatData),
+      updated_at: timestamp,
+      first_seen: previousState.first_seen || timestamp,
+    };
+
+    this.allStores.set(storeId, storeState);
+    this.storeMetrics.set(storeId, storeState.metrics);
+
+    // Save to database using existing schema
+    await this.saveHeartbeatToDatabase(storeId, heartbeatData, timestamp);
+
+    if (previousState.status !== "online") {
+      this.publishStoreStatus(storeState, previousState.status);
+    }
+    this.publishEvent("store_metrics", {
+      store_id: storeId,
+      last_heartbeat: timestamp.toISOString(),
+      metrics: storeState.metrics,
+    });
+
+    // Any open offline alerts are over now that the store is talking again
+    const closedIncident = this.offlineIncidents.get(storeId);
+    if (wasOffline || isFirstHeartbeat) {
+      await this.resolveAlerts(storeId, "offline");
+      this.offlineIncidents.delete(storeId);
+    }
 
+    // Handle alerts - improved logic to match your old behavior
+    const maintenance = this.getActiveMaintenance(storeId, timestamp);
+    const massOutage = this.getMassOutage(storeId);
+    // Coming back counts towards flapping, unless a whole outage is coming back
+    const flapping =
+      wasOffline &&
+      !maintenance &&
+      !massOutage &&
+      (await this.recordTransition(storeId, "online", timestamp));
+    if (maintenance) {
+      console.log(
+        `   🛠️ Store ${storeId} is in maintenance window #${maintenance.id} - startup/recovery alerts suppressed`
+      );
+    } else if (massOutage && (isStartup || wasOffline)) {
+      // The outage sends one recovery for all its stores once it's over
       console.log(
-        `   📧 Preparing to send ${alertType} email to: ${recipients.join(
-          ", "
-        )}`
+        `   🌐 Store ${storeId} is back from mass outage #${massOutage.alert_id} - startup/recovery alerts held back`
+      );
+    } else if (flapping) {
+      console.log(
+        `   🔁 Store ${storeId} is flapping - startup/recovery alerts held back`
+      );
+    } else if (isFirstHeartbeat) {
+      console.log(
+        `   🚀 FIRST HEARTBEAT for store ${storeId} - sending startup alert`
+      );
+      await this.sendAlert(
+        storeId,
+        "startup",
+        `Store ${storeName} (${storeId}) has come online`,
+        "low",
+        heartbeatData
+      );
+      this.lastStartupAlerts.set(storeId, timestamp);
+    } else if (isStartup) {
+      // Check if we already sent a startup alert recently to avoid spam
+      const lastStartup = this.lastStartupAlerts.get(storeId);
+      const shouldSendStartup =
+        !lastStartup ||
+        (timestamp - lastStartup) / (1000 * 60) >
+          this.getAlertSettings(storeId).startup_alert_cooldown_minutes;
+
+      if (shouldSendStartup) {
+        console.log(
+          `   🚀 STARTUP HEARTBEAT for store ${storeId} - sending startup alert`
+        );
+        await this.sendAlert(
+          storeId,
+          "startup",
+          `Store ${storeName} (${storeId}) has started up and is now online`,
+          "low",
+          heartbeatData
+        );
+        this.lastStartupAlerts.set(storeId, timestamp);
+      } else {
+        console.log(
+          `   ⏭️ Startup alert skipped for ${storeId} (cooldown active)`
+        );
+      }
+    } else if (wasOffline) {
+      console.log(`   ✅ Store ${storeId} recovered from offline state`);
+      const lastRecovery = this.lastRecoveryAlerts.get(storeId);
+      const shouldSendRecovery =
+        !lastRecovery ||
+        (timestamp - lastRecovery) / (1000 * 60) >
+          this.getAlertSettings(storeId).recovery_alert_cooldown_minutes;
+
+      if (shouldSendRecovery) {
+        await this.sendAlert(
+          storeId,
+          "recovery",
+          `Store ${storeName} (${storeId}) has recovered and is back online`,
+          "medium",
+          heartbeatData,
+          {
+            // Tell everyone the incident was escalated to that it's over
+            recipients: this.getEscalationRecipients(
+              storeId,
+              closedIncident?.escalation_level || 1
+            ),
+          }
+        );
+        this.lastRecoveryAlerts.set(storeId, timestamp);
+      }
+    }
+
+    await this.trackCameraStatus(storeId, storeName, heartbeatData, timestamp);
+
+    await this.evaluateMetricThresholds(
+      storeId,
+      storeName,
+      storeState.metrics,
+      heartbeatData
+    );
+
+    if (await this.saveNetworkSpeeds(storeId, heartbeatData, timestamp)) {
+      await this.evaluateNetworkBaseline(
+        storeId,
+        storeName,
+        heartbeatData,
+        timestamp
       );
+    }
 
-      // Send email asynchronously
-      setImmediate(async () => {
-        try {
-          const info = await this.transporter.sendMail(mailOptions);
-          console.log(
-            `   ✅ ${alertType.toUpperCase()} email sent successfully - ID: ${
-              info.messageId
-            }`
-          );
-        } catch (emailError) {
-          console.error(
-            `   ❌ Email failed for ${alertType}: ${emailError.message}`
-          );
+    console.log(`   ✅ Heartbeat processed successfully for store ${storeId}`);
+
+    return {
+      status: "success",
+      message: "Heartbeat processed",
+      store_name: storeName,
+      total_stores_monitored: this.allStores.size,
+    };
+  }
+
+  // Extract key metrics from heartbeat data
+  extractMetrics(heartbeatData) {
+    const sys = heartbeatData.system_stats || {};
+    const cam = heartbeatData.camera_status || {};
+    const app = heartbeatData.application_stats || {};
+    const net = heartbeatData.network_info || {};
+
+    return {
+      cpu_usage: sys.cpu_usage_percent,
+      memory_usage: sys.memory_usage_percent,
+      memory_available_gb: sys.memory_available_gb,
+      disk_free_gb: sys.disk_free_gb,
+      disk_usage: sys.disk_usage_percent,
+      network_connected: sys.network_connected,
+      network_speed_mbps: sys.network_speed_mbps || net.current_speed_mbps,
+      cameras_active: cam.active_cameras,
+      cameras_total: cam.total_cameras,
+      process_memory_mb: sys.process_memory_mb,
+      uptime_hours: sys.uptime_hours,
+      detections_today: app.total_detections_today,
+      last_detection: app.last_detection_time,
+      application_version: app.application_version,
+      node_version: app.node_version,
+    };
+  }
+
+  // Track each camera reported by the store. A camera only changes state after
+  // reporting the new state for N consecutive heartbeats, so a camera that
+  // drops a single frame doesn't page anyone.
+  async trackCameraStatus(storeId, storeName, heartbeatData, timestamp) {
+    const cameras = heartbeatData.camera_status?.cameras;
+    if (!cameras || typeof cameras !== "object") return;
+
+    if (!this.cameraStates.has(storeId)) {
+      this.cameraStates.set(storeId, new Map());
+    }
+    const storeCameras = this.cameraStates.get(storeId);
+
+    for (const [cameraId, info] of Object.entries(cameras)) {
+      const observed = info?.active === true ? "active" : "down";
+      let camera = storeCameras.get(cameraId);
+
+      if (!camera) {
+        // Assume a new camera is working so a dead one still alerts once debounced
+        camera = {
+          camera_id: cameraId,
+          status: "active",
+          pending_status: null,
+          pending_count: 0,
+          first_seen: timestamp,
+          last_update: timestamp,
+          last_change: timestamp,
+          active_ms: 0,
+          down_ms: 0,
+          transitions: 0,
+          resolution: null,
+          last_error: null,
+        };
+        storeCameras.set(cameraId, camera);
+      }
+
+      // Credit the time since the last report to the confirmed state, but not
+      // across gaps where the store itself was silent
+      const elapsed = timestamp - camera.last_update;
+      const thresholdMs =
+        this.getAlertSettings(storeId).alert_threshold_minutes * 60 * 1000;
+      if (elapsed > 0 && elapsed <= thresholdMs) {
+        if (camera.status === "active") {
+          camera.active_ms += elapsed;
+        } else {
+          camera.down_ms += elapsed;
         }
-      });
-    } catch (error) {
-      console.error(`   ❌ Alert error for ${alertType}: ${error.message}`);
+      }
+      camera.last_update = timestamp;
+      camera.resolution = info?.resolution || camera.resolution;
+      camera.last_error =
+        observed === "down" ? info?.error || "Camera inactive" : null;
+
+      if (observed === camera.status) {
+        camera.pending_status = null;
+        camera.pending_count = 0;
+        continue;
+      }
+
+      if (camera.pending_status === observed) {
+        camera.pending_count++;
+      } else {
+        camera.pending_status = observed;
+        camera.pending_count = 1;
+      }
+
+      if (camera.pending_count < this.cameraDebounceHeartbeats) continue;
+
+      camera.status = observed;
+      camera.last_change = timestamp;
+      camera.pending_status = null;
+      camera.pending_count = 0;
+      camera.transitions++;
+
+      if (observed === "down") {
+        console.log(`   📷 Camera ${cameraId} at store ${storeId} is DOWN`);
+        await this.sendAlert(
+          storeId,
+          "camera_failure",
+          `Camera ${cameraId} at store ${storeName} (${storeId}) has stopped working: ${camera.last_error}`,
+          "high",
+          heartbeatData,
+          { alertKey: `camera:${cameraId}` }
+        );
+      } else {
+        console.log(`   📷 Camera ${cameraId} at store ${storeId} recovered`);
+        await this.resolveAlerts(
+          storeId,
+          "camera_failure",
+          `camera:${cameraId}`
+        );
+        await this.sendAlert(
+          storeId,
+          "camera_recovery",
+          `Camera ${cameraId} at store ${storeName} (${storeId}) is working again`,
+          "low",
+          heartbeatData,
+          { alertKey: `camera:${cameraId}` }
+        );
+      }
+    }
+  }
+
+  // Per-camera status and uptime for a store
+  getCameraStatus(storeId) {
+    const storeCameras = this.cameraStates.get(storeId);
+    if (!storeCameras) return [];
+
+    return [...storeCameras.values()]
+      .map((camera) => {
+        const trackedMs = camera.active_ms + camera.down_ms;
+        return {
+          camera_id: camera.camera_id,
+          status: camera.status,
+          pending_status: camera.pending_status,
+          resolution: camera.resolution,
+          last_error: camera.last_error,
+          first_seen: camera.first_seen.toISOString(),
+          last_update: camera.last_update.toISOString(),
+          last_change: camera.last_change.toISOString(),
+          transitions: camera.transitions,
+          uptime_percent:
+            trackedMs > 0
+              ? Math.round((camera.active_ms / trackedMs) * 10000) / 100
+              : null,
+          downtime_minutes: Math.round(camera.down_ms / (1000 * 60)),
+        };
+      })
+      .sort((a, b) => a.camera_id.localeCompare(b.camera_id));
+  }
+
+  // Work out which threshold level (if any) a metric value breaches
+  getThresholdLevel(rule, value) {
+    const breaches = (threshold) =>
+      threshold !== null &&
+      threshold !== undefined &&
+      (rule.direction === "below" ? value <= threshold : value >= threshold);
+
+    if (breaches(rule.critical)) return "critical";
+    if (breaches(rule.warn)) return "warn";
+    return null;
+  }
+
+  // Check heartbeat metrics against the threshold rules and raise
+  // system_warning alerts once a level has held for N heartbeats
+  async evaluateMetricThresholds(storeId, storeName, metrics, heartbeatData) {
+    const levelRank = { warn: 1, critical: 2 };
+    const levelSeverity = { warn: "high", critical: "critical" };
+
+    if (!this.metricBreaches.has(storeId)) {
+      this.metricBreaches.set(storeId, new Map());
+    }
+    const storeBreaches = this.metricBreaches.get(storeId);
+
+    for (const [ruleName, rule] of Object.entries(this.metricAlertRules)) {
+      if (rule.enabled === false) continue;
+
+      const rawValue = metrics[rule.metric];
+      const value = Number(rawValue);
+      if (rawValue === null || rawValue === undefined || isNaN(value)) {
+        continue;
+      }
+
+      const level = this.getThresholdLevel(rule, value);
+      const state = storeBreaches.get(ruleName) || {
+        level: null,
+        pending_level: null,
+        count: 0,
+        since: null,
+      };
+      storeBreaches.set(ruleName, state);
+
+      if (state.pending_level === level) {
+        state.count++;
+      } else {
+        state.pending_level = level;
+        state.count = 1;
+      }
+
+      const sustained = state.count >= (rule.sustained_heartbeats || 1);
+      if (!sustained || state.level === level) continue;
+
+      const previousLevel = state.level;
+      state.level = level;
+      state.since = level ? state.since || new Date() : null;
+
+      if (!level) {
+        console.log(
+          `   📉 ${rule.label} back to normal for store ${storeId} (${value}${rule.unit})`
+        );
+        await this.resolveAlerts(
+          storeId,
+          "system_warning",
+          `metric:${ruleName}`
+        );
+        continue;
+      }
+
+      // Only alert when a breach gets worse, not when it eases off
+      if (previousLevel && levelRank[level] <= levelRank[previousLevel]) {
+        continue;
+      }
+
+      const threshold = rule[level];
+      await this.sendAlert(
+        storeId,
+        "system_warning",
+        `${rule.label} on store ${storeName} (${storeId}) is ${value}${
+          rule.unit
+        }, ${rule.direction} the ${
+          level === "warn" ? "warning" : "critical"
+        } threshold of ${threshold}${rule.unit} for ${
+          state.count
+        } consecutive heartbeats`,
+        levelSeverity[level],
+        heartbeatData,
+        { alertKey: `metric:${ruleName}` }
+      );
+    }
+  }
+
+  // Store the speed tests in the heartbeat. Clients resend their last few
+  // tests every time, so ones already stored are skipped; a client without
+  // speed_history counts as one test per heartbeat. Returns how many were new.
+  async saveNetworkSpeeds(storeId, heartbeatData, timestamp) {
+    const net = heartbeatData.network_info || {};
+    const measurements =
+      Array.isArray(net.speed_history) && net.speed_history.length > 0
+        ? net.speed_history.map((entry) => ({
+            speed: entry?.speed,
+            measuredAt: new Date(entry?.timestamp),
+          }))
+        : [
+            {
+              speed:
+                heartbeatData.system_stats?.network_speed_mbps ??
+                net.current_speed_mbps,
+              measuredAt: timestamp,
+            },
+          ];
+
+    let added = 0;
+    try {
+      for (const { speed, measuredAt } of measurements) {
+        if (
+          speed === null ||
+          speed === undefined ||
+          isNaN(Number(speed)) ||
+          Number(speed) < 0 ||
+          isNaN(measuredAt)
+        ) {
+          continue;
+        }
+
+        const [result] = await this.db.execute(
+          `INSERT IGNORE INTO network_speed_history (store_id, timestamp, speed_mbps)
+           VALUES (?, ?, ?)`,
+          [storeId, measuredAt, Number(speed)]
+        );
+        added += result.affectedRows;
+      }
+    } catch (error) {
+      console.error(
+        `   ❌ Error saving network speeds for ${storeId}: ${error.message}`
+      );
+    }
+    return added;
+  }
+
+  // Speed tests from the last networkDropMinutes against the store's
+  // average over the networkBaselineDays before them
+  async getNetworkBaseline(storeId, now = new Date()) {
+    const recentFrom = new Date(now - this.networkDropMinutes * 60 * 1000);
+    const baselineFrom = new Date(
+      recentFrom - this.networkBaselineDays * DAY_MS
+    );
+    const [[row]] = await this.db.execute(
+      `SELECT
+         AVG(CASE WHEN timestamp < ? THEN speed_mbps END) AS baseline_mbps,
+         COUNT(CASE WHEN timestamp < ? THEN 1 END) AS baseline_samples,
+         AVG(CASE WHEN timestamp >= ? THEN speed_mbps END) AS recent_mbps,
+         MAX(CASE WHEN timestamp >= ? THEN speed_mbps END) AS recent_max_mbps,
+         COUNT(CASE WHEN timestamp >= ? THEN 1 END) AS recent_samples
+       FROM network_speed_history
+       WHERE store_id = ? AND timestamp >= ?`,
+      [
+        recentFrom,
+        recentFrom,
+        recentFrom,
+        recentFrom,
+        recentFrom,
+        storeId,
+        baselineFrom,
+      ]
+    );
+
+    const round = (value) =>
+      value === null ? null : Math.round(Number(value) * 100) / 100;
+    const baselineSamples = Number(row.baseline_samples);
+    const recentSamples = Number(row.recent_samples);
+    const dropLimit =
+      baselineSamples >= MIN_BASELINE_SAMPLES
+        ? round(row.baseline_mbps * (1 - this.networkDropPercent / 100))
+        : null;
+
+    return {
+      baseline_days: this.networkBaselineDays,
+      baseline_mbps: round(row.baseline_mbps),
+      baseline_samples: baselineSamples,
+      recent_minutes: this.networkDropMinutes,
+      recent_mbps: round(row.recent_mbps),
+      recent_samples: recentSamples,
+      drop_percent: this.networkDropPercent,
+      drop_limit_mbps: dropLimit,
+      // Every test in the window was under the limit
+      degraded:
+        dropLimit !== null &&
+        recentSamples >= MIN_DROP_SAMPLES &&
+        Number(row.recent_max_mbps) < dropLimit,
+    };
+  }
+
+  // Alert when a store's speed has dropped well below its own baseline for
+  // networkDropMinutes, and resolve once it's averaging above the limit again
+  async evaluateNetworkBaseline(storeId, storeName, heartbeatData, timestamp) {
+    try {
+      const baseline = await this.getNetworkBaseline(storeId, timestamp);
+      const degradation = this.networkDegradations.get(storeId);
+
+      if (!degradation) {
+        if (!baseline.degraded) return;
+
+        this.networkDegradations.set(storeId, {
+          since: timestamp,
+          baseline_mbps: baseline.baseline_mbps,
+          recent_mbps: baseline.recent_mbps,
+        });
+        await this.sendAlert(
+          storeId,
+          "system_warning",
+          `Network speed on store ${storeName} (${storeId}) has averaged ${baseline.recent_mbps} Mbps over the last ${this.networkDropMinutes} minutes, more than ${this.networkDropPercent}% below its usual ${baseline.baseline_mbps} Mbps`,
+          "high",
+          heartbeatData,
+          { alertKey: "network:baseline" }
+        );
+        return;
+      }
+
+      degradation.recent_mbps = baseline.recent_mbps;
+      degradation.baseline_mbps = baseline.baseline_mbps;
+      if (
+        baseline.drop_limit_mbps !== null &&
+        baseline.recent_samples > 0 &&
+        baseline.recent_mbps >= baseline.drop_limit_mbps
+      ) {
+        this.networkDegradations.delete(storeId);
+        console.log(
+          `   📶 Network speed back to normal for store ${storeId} (${baseline.recent_mbps} Mbps)`
+        );
+        await this.resolveAlerts(storeId, "system_warning", "network:baseline");
+      }
+    } catch (error) {
+      console.error(
+        `   ❌ Network baseline check for ${storeId} failed: ${error.message}`
+      );
+    }
+  }
+
+  // Network degradation details for the API
+  getNetworkDegradationInfo(storeId) {
+    const degradation = this.networkDegradations.get(storeId);
+    if (!degradation) return null;
+
+    return {
+      since: degradation.since.toISOString(),
+      baseline_mbps: degradation.baseline_mbps,
+      recent_mbps: degradation.recent_mbps,
+    };
+  }
+
+  // Save heartbeat to database using existing schema
+  async saveHeartbeatToDatabase(storeId, heartbeatData, timestamp) {
+    try {
+      const connection = await this.db.getConnection();
+
+      try {
+        await connection.beginTransaction();
+
+        // Registered stores only - the registry owns the rest of the row
+        await connection.execute(
+          `UPDATE stores
+           SET last_heartbeat = ?, status = 'online', updated_at = ?
+           WHERE store_id = ?`,
+          [timestamp, timestamp, storeId]
+        );
+
+        // Insert heartbeat history using existing schema
+        await connection.execute(
+          `INSERT INTO heartbeat_history
+           (store_id, timestamp, cpu_usage, memory_usage, disk_free_gb, active_cameras, 
+            total_cameras, network_connected, payload)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+          [
+            storeId,
+            timestamp,
+            heartbeatData.system_stats?.cpu_usage_percent,
+            heartbeatData.system_stats?.memory_usage_percent,
+            heartbeatData.system_stats?.disk_free_gb,
+            heartbeatData.camera_status?.active_cameras,
+            heartbeatData.camera_status?.total_cameras,
+            heartbeatData.system_stats?.network_connected,
+            JSON.stringify(heartbeatData),
+          ]
+        );
+
+        // Insert system stats using existing schema
+        await connection.execute(
+          `INSERT INTO system_stats
+           (store_id, timestamp, cpu_usage, memory_usage, memory_available_gb, disk_free_gb,
+            disk_usage_percent, process_memory_mb, uptime_hours, network_connected)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+          [
+            storeId,
+            timestamp,
+            heartbeatData.system_stats?.cpu_usage_percent,
+            heartbeatData.system_stats?.memory_usage_percent,
+            heartbeatData.system_stats?.memory_available_gb,
+            heartbeatData.system_stats?.disk_free_gb,
+            heartbeatData.system_stats?.disk_usage_percent,
+            heartbeatData.system_stats?.process_memory_mb,
+            heartbeatData.system_stats?.uptime_hours,
+            heartbeatData.system_stats?.network_connected,
+          ]
+        );
+
+        await connection.commit();
+        console.log(`   💾 Data saved to database for store ${storeId}`);
+      } catch (dbError) {
+        await connection.rollback();
+        throw dbError;
+      } finally {
+        connection.release();
+      }
+    } catch (error) {
+      console.error(
+        `   ❌ Database error for store ${storeId}:`,
+        error.message
+      );
+    }
+  }
+
+  // CENTRALIZED HEALTH MONITORING - Checks ALL stores
+  async performHealthCheck() {
+    const timestamp = new Date();
+    console.log(`\n${"=".repeat(80)}`);
+    console.log(`🔍 [${timestamp.toISOString()}] CENTRALIZED HEALTH CHECK`);
+    console.log(`📊 Monitoring ${this.allStores.size} stores total`);
+
+    let onlineCount = 0;
+    let offlineCount = 0;
+    let maintenanceCount = 0;
+    let alertsSent = 0;
+
+    // Look at the whole fleet first, so a mass outage is raised (or closed)
+    // before any alerts go out for its stores
+    const monitoredStoreIds = [];
+    const silentStoreIds = [];
+    for (const [storeId, store] of this.allStores) {
+      if (
+        !store.last_heartbeat ||
+        this.getActiveMaintenance(storeId, timestamp)
+      ) {
+        continue;
+      }
+      monitoredStoreIds.push(storeId);
+      if (
+        (timestamp - store.last_heartbeat) / (1000 * 60) >
+        this.getAlertSettings(storeId).alert_threshold_minutes
+      ) {
+        silentStoreIds.push(storeId);
+      }
+    }
+    alertsSent += await this.updateMassOutages(
+      monitoredStoreIds,
+      silentStoreIds,
+      timestamp
+    );
+
+    // Check each store's health
+    for (const [storeId, store] of this.allStores) {
+      if (!store.last_heartbeat) {
+        console.log(
+          `\n🏪 ${store.store_name} (${storeId}) - No heartbeat data yet`
+        );
+        continue;
+      }
+
+      const minutesSinceLastHeartbeat =
+        (timestamp - store.last_heartbeat) / (1000 * 60);
+      const { alert_threshold_minutes: thresholdMinutes } =
+        this.getAlertSettings(storeId);
+      const isOffline = minutesSinceLastHeartbeat > thresholdMinutes;
+
+      console.log(`\n🏪 ${store.store_name} (${storeId})`);
+      console.log(`   📍 Location: ${store.location}`);
+      console.log(
+        `   💓 Last heartbeat: ${store.last_heartbeat.toISOString()}`
+      );
+      console.log(
+        `   ⏰ Minutes ago: ${minutesSinceLastHeartbeat.toFixed(
+          1
+        )} (threshold ${thresholdMinutes})`
+      );
+      console.log(`   📊 Current status: ${store.status}`);
+
+      await this.checkFlappingStable(storeId, timestamp);
+
+      // Leave the store alone while it's under planned maintenance. Its
+      // status isn't touched, so it alerts normally if still down afterwards.
+      const maintenance = this.getActiveMaintenance(storeId, timestamp);
+      if (maintenance) {
+        console.log(
+          `   🛠️ IN MAINTENANCE (window #${maintenance.id}) - alerts suppressed`
+        );
+        maintenanceCount++;
+        continue;
+      }
+
+      if (isOffline) {
+        console.log(`   ❌ STORE IS OFFLINE`);
+
+        // Only send alert if status changed or cooldown expired
+        const massOutage = this.getMassOutage(storeId);
+
+        if (massOutage) {
+          // Covered by the outage's alert - just keep track of the store
+          if (store.status !== "offline") {
+            const previousStatus = store.status;
+            store.status = "offline";
+            await this.updateStoreStatusInDB(storeId, "offline", timestamp);
+            this.publishStoreStatus(store, previousStatus);
+          }
+          this.openOfflineIncident(storeId, timestamp);
+          console.log(
+            `   🌐 Part of mass outage #${massOutage.alert_id} - offline alert held back`
+          );
+        } else if (store.status !== "offline") {
+          // Store just went offline
+          const previousStatus = store.status;
+          store.status = "offline";
+          await this.updateStoreStatusInDB(storeId, "offline", timestamp);
+          this.publishStoreStatus(store, previousStatus);
+          const incident = this.openOfflineIncident(storeId, timestamp);
+          const wasFlapping = this.flappingStores.has(storeId);
+
+          if (await this.recordTransition(storeId, "offline", timestamp)) {
+            if (!wasFlapping) alertsSent++; // the flapping alert
+            console.log(`   🔁 Flapping - offline alert held back`);
+          } else {
+            await this.sendAlert(
+              storeId,
+              "offline",
+              `Store ${
+                store.store_name
+              } (${storeId}) has gone offline. Last seen: ${store.last_heartbeat.toLocaleString()}`,
+              "critical",
+              null,
+              { incident, escalationLevel: incident.escalation_level }
+            );
+
+            alertsSent++;
+            console.log(`   🚨 FIRST offline alert sent`);
+          }
+        } else if (this.flappingStores.has(storeId)) {
+          console.log(`   🔁 Flapping - repeat offline alerts held back`);
+        } else {
+          const incident = this.openOfflineIncident(storeId, timestamp);
+          const escalation = this.getDueEscalation(
+            storeId,
+            incident,
+            timestamp
+          );
+
+          // Escalations go out straight away; otherwise repeat on the cooldown
+          if (escalation) {
+            incident.escalation_level = escalation.level;
+            this.lastOfflineAlerts.set(storeId, timestamp);
+          }
+
+          if (escalation || this.canSendOfflineAlert(storeId)) {
+            // Send repeat offline alert
+            const duration = this.formatDuration(
+              minutesSinceLastHeartbeat * 60 * 1000
+            );
+
+            await this.sendAlert(
+              storeId,
+              "offline",
+              `${
+                incident.escalation_level > 1
+                  ? `[Escalation level ${incident.escalation_level}] `
+                  : ""
+              }Store ${
+                store.store_name
+              } (${storeId}) has been offline for ${duration}. Last seen: ${store.last_heartbeat.toLocaleString()}`,
+              "critical",
+              null,
+              {
+                incident,
+                escalationLevel: incident.escalation_level,
+                recipients: this.getEscalationRecipients(
+                  storeId,
+                  incident.escalation_level
+                ),
+              }
+            );
+
+            alertsSent++;
+            console.log(
+              escalation
+                ? `   📶 Offline alert ESCALATED to level ${escalation.level} (${duration})`
+                : `   🚨 REPEAT offline alert sent (${duration})`
+            );
+          }
+        }
+
+        offlineCount++;
+      } else {
+        console.log(`   ✅ STORE IS ONLINE`);
+        onlineCount++;
+      }
+    }
+
+    // Also check database for any stores not in memory
+    await this.syncWithDatabase(timestamp);
+
+    this.publishEvent("health_check", {
+      online_stores: onlineCount,
+      offline_stores: offlineCount,
+      maintenance_stores: maintenanceCount,
+      alerts_sent: alertsSent,
+      total_stores: this.allStores.size,
+      timestamp: timestamp.toISOString(),
+    });
+
+    console.log(`\n📈 HEALTH CHECK SUMMARY:`);
+    console.log(`   🟢 Online stores: ${onlineCount}`);
+    console.log(`   🔴 Offline stores: ${offlineCount}`);
+    console.log(`   🛠️ Stores in maintenance: ${maintenanceCount}`);
+    console.log(`   📧 Alerts sent: ${alertsSent}`);
+    console.log(`   🏭 Total stores monitored: ${this.allStores.size}`);
+    console.log(`${"=".repeat(80)}\n`);
+  }
+
+  // Load the keys stores sign their heartbeats with
+  async loadStoreCredentials() {
+    if (!this.credentialsKey) {
+      if (this.heartbeatAuthMode !== "off") {
+        console.warn(
+          "⚠️ STORE_CREDENTIALS_KEY not set - store keys can't be issued or checked"
+        );
+      }
+      return;
+    }
+
+    try {
+      const [rows] = await this.db.execute(
+        `SELECT store_id, key_id, secret_encrypted, expires_at
+         FROM store_credentials
+         WHERE revoked_at IS NULL AND (expires_at IS NULL OR expires_at > ?)`,
+        [new Date()]
+      );
+
+      this.storeCredentials.clear();
+      for (const row of rows) {
+        try {
+          this.storeCredentials.set(row.key_id, {
+            store_id: row.store_id,
+            secret: decryptSecret(row.secret_encrypted, this.credentialsKey),
+            expires_at: row.expires_at ? new Date(row.expires_at) : null,
+          });
+        } catch (error) {
+          console.error(
+            `❌ Could not decrypt key ${row.key_id} for store ${row.store_id} - was STORE_CREDENTIALS_KEY changed?`
+          );
+        }
+      }
+      console.log(`🔑 Loaded ${this.storeCredentials.size} store keys`);
+    } catch (error) {
+      console.error(`❌ Error loading store credentials: ${error.message}`);
+    }
+  }
+
+  // Keys a store can currently sign with
+  getStoreKeys(storeId, now = new Date()) {
+    return [...this.storeCredentials.entries()]
+      .filter(
+        ([, credential]) =>
+          credential.store_id === String(storeId) &&
+          (!credential.expires_at || credential.expires_at > now)
+      )
+      .map(([keyId]) => keyId);
+  }
+
+  // Check the signature headers on a heartbeat request. Each signature is
+  // accepted once, and only within signatureToleranceSeconds of its timestamp.
+  verifyHeartbeatRequest(req) {
+    if (this.heartbeatAuthMode === "off") return { valid: true };
+
+    // The body decides which store this is; the header is only a hint and
+    // must agree with it
+    const storeId =
+      req.body?.store_id === undefined || req.body?.store_id === null
+        ? null
+        : String(req.body.store_id);
+    const headerStoreId = req.get(SIGNATURE_HEADERS.storeId);
+    const keyId = req.get(SIGNATURE_HEADERS.keyId);
+    const timestamp = req.get(SIGNATURE_HEADERS.timestamp);
+    const signature = req.get(SIGNATURE_HEADERS.signature);
+
+    if (headerStoreId && headerStoreId !== storeId) {
+      return { valid: false, reason: "Store ID header does not match body" };
+    }
+
+    if (!signature) {
+      if (
+        this.heartbeatAuthMode === "required" ||
+        (storeId && this.getStoreKeys(storeId).length > 0)
+      ) {
+        return { valid: false, reason: "Heartbeat signature required" };
+      }
+      return { valid: true };
+    }
+
+    const credential = this.storeCredentials.get(keyId);
+    if (
+      !credential ||
+      (credential.expires_at && credential.expires_at <= new Date())
+    ) {
+      return { valid: false, reason: "Unknown or expired key" };
+    }
+    if (credential.store_id !== storeId) {
+      return { valid: false, reason: "Key does not belong to this store" };
+    }
+
+    const timestampSeconds = parseInt(timestamp);
+    const nowSeconds = Math.floor(Date.now() / 1000);
+    if (
+      isNaN(timestampSeconds) ||
+      Math.abs(nowSeconds - timestampSeconds) > this.signatureToleranceSeconds
+    ) {
+      return { valid: false, reason: "Signature timestamp out of range" };
+    }
+
+    const expected = signHeartbeatBody(
+      credential.secret,
+      timestampSeconds,
+      req.rawBody ? req.rawBody.toString() : ""
+    );
+    if (!signaturesMatch(expected, signature)) {
+      return { valid: false, reason: "Invalid signature" };
+    }
+
+    // Replays of a valid request are caught until its timestamp falls out
+    // of the tolerance window, after which the timestamp check catches them
+    for (const [seen, forgetAt] of this.seenSignatures) {
+      if (forgetAt <= nowSeconds) this.seenSignatures.delete(seen);
+    }
+    if (this.seenSignatures.has(signature)) {
+      return { valid: false, reason: "Heartbeat already received" };
+    }
+    this.seenSignatures.set(
+      signature,
+      timestampSeconds + this.signatureToleranceSeconds
+    );
+
+    this.touchStoreKey(keyId);
+    return { valid: true, keyId };
+  }
+
+  // Record when a key was last used, at most once a minute
+  touchStoreKey(keyId) {
+    const credential = this.storeCredentials.get(keyId);
+    const now = new Date();
+    if (credential.last_used_at && now - credential.last_used_at < 60000) {
+      return;
+    }
+    credential.last_used_at = now;
+
+    this.db
+      .execute(
+        "UPDATE store_credentials SET last_used_at = ? WHERE key_id = ?",
+        [now, keyId]
+      )
+      .catch((error) => {
+        console.error(`❌ Error updating key ${keyId}: ${error.message}`);
+      });
+  }
+
+  // Issue a new key for a registered store. Its current keys keep working
+  // for graceMinutes so the store can be switched over without dropping
+  // heartbeats (0 revokes them straight away).
+  async issueStoreKey(storeId, graceMinutes = this.keyRotationGraceMinutes) {
+    if (!this.credentialsKey) {
+      throw new Error("STORE_CREDENTIALS_KEY is not configured");
+    }
+
+    if (!this.allStores.has(storeId)) return null;
+
+    const { keyId, secret } = generateStoreKey();
+    const now = new Date();
+    const previousKeysExpireAt = new Date(
+      now.getTime() + graceMinutes * 60 * 1000
+    );
+
+    const [rotated] = await this.db.execute(
+      `UPDATE store_credentials
+       SET expires_at = ?
+       WHERE store_id = ? AND revoked_at IS NULL
+         AND (expires_at IS NULL OR expires_at > ?)`,
+      [previousKeysExpireAt, storeId, previousKeysExpireAt]
+    );
+
+    await this.db.execute(
+      `INSERT INTO store_credentials (store_id, key_id, secret_encrypted)
+       VALUES (?, ?, ?)`,
+      [storeId, keyId, encryptSecret(secret, this.credentialsKey)]
+    );
+
+    for (const keyIdInUse of this.getStoreKeys(storeId, now)) {
+      const credential = this.storeCredentials.get(keyIdInUse);
+      if (
+        !credential.expires_at ||
+        credential.expires_at > previousKeysExpireAt
+      ) {
+        credential.expires_at = previousKeysExpireAt;
+      }
+    }
+    this.storeCredentials.set(keyId, {
+      store_id: storeId,
+      secret,
+      expires_at: null,
+    });
+
+    console.log(`🔑 Issued key ${keyId} for store ${storeId}`);
+    return {
+      store_id: storeId,
+      key_id: keyId,
+      secret,
+      previous_keys_expire_at:
+        rotated.affectedRows > 0 ? previousKeysExpireAt.toISOString() : null,
+    };
+  }
+
+  // Revoke one of a store's keys, or all of them
+  async revokeStoreKeys(storeId, keyId = null) {
+    const [result] = await this.db.execute(
+      `UPDATE store_credentials
+       SET revoked_at = ?
+       WHERE store_id = ? AND revoked_at IS NULL ${
+         keyId ? "AND key_id = ?" : ""
+       }`,
+      [new Date(), storeId, ...(keyId ? [keyId] : [])]
+    );
+
+    for (const [id, credential] of this.storeCredentials) {
+      if (credential.store_id === storeId && (!keyId || id === keyId)) {
+        this.storeCredentials.delete(id);
+      }
+    }
+
+    console.log(
+      `🔒 Revoked ${result.affectedRows} key(s) for store ${storeId}`
+    );
+    return result.affectedRows;
+  }
+
+  // Load the API tokens that haven't been revoked or expired
+  async loadApiTokens() {
+    if (!this.apiAuthEnabled) {
+      console.warn("⚠️ API_AUTH=off - admin and ops routes are open to anyone");
+      return;
+    }
+
+    try {
+      const [rows] = await this.db.execute(
+        `SELECT id, name, role, token_hash, expires_at
+         FROM api_tokens
+         WHERE revoked_at IS NULL AND (expires_at IS NULL OR expires_at > ?)`,
+        [new Date()]
+      );
+
+      this.apiTokens.clear();
+      for (const row of rows) {
+        this.apiTokens.set(row.token_hash, {
+          id: row.id,
+          name: row.name,
+          role: row.role,
+          expires_at: row.expires_at ? new Date(row.expires_at) : null,
+        });
+      }
+      console.log(`🔐 Loaded ${this.apiTokens.size} API tokens`);
+    } catch (error) {
+      console.error(`❌ Error loading API tokens: ${error.message}`);
+    }
+
+    if (this.apiTokens.size === 0 && !this.adminTokenHash) {
+      console.warn(
+        "⚠️ No API tokens and no ADMIN_API_TOKEN - set one to create tokens"
+      );
+    }
+  }
+
+  // The token's { id, name, role }, or null if it isn't valid
+  authenticateApiToken(token) {
+    const tokenHash = hashApiToken(token);
+
+    if (
+      this.adminTokenHash &&
+      crypto.timingSafeEqual(
+        Buffer.from(tokenHash),
+        Buffer.from(this.adminTokenHash)
+      )
+    ) {
+      return { id: null, name: "admin", role: "admin" };
+    }
+
+    const apiToken = this.apiTokens.get(tokenHash);
+    if (!apiToken) return null;
+    if (apiToken.expires_at && apiToken.expires_at <= new Date()) {
+      this.apiTokens.delete(tokenHash);
+      return null;
+    }
+
+    this.touchApiToken(apiToken);
+    return { id: apiToken.id, name: apiToken.name, role: apiToken.role };
+  }
+
+  // Record when a token was last used, at most once a minute
+  touchApiToken(apiToken) {
+    const now = new Date();
+    if (apiToken.last_used_at && now - apiToken.last_used_at < 60000) {
+      return;
+    }
+    apiToken.last_used_at = now;
+
+    this.db
+      .execute("UPDATE api_tokens SET last_used_at = ? WHERE id = ?", [
+        now,
+        apiToken.id,
+      ])
+      .catch((error) => {
+        console.error(
+          `❌ Error updating API token ${apiToken.id}: ${error.message}`
+        );
+      });
+  }
+
+  // Create a token. The token itself is returned here and never again.
+  async createApiToken({ name, role, expiresInDays = null, createdBy = null }) {
+    const token = `hm_${crypto.randomBytes(24).toString("base64url")}`;
+    const tokenHash = hashApiToken(token);
+    const expiresAt = expiresInDays
+      ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000)
+      : null;
+
+    const [result] = await this.db.execute(
+      `INSERT INTO api_tokens (name, token_hash, token_prefix, role, created_by, expires_at)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [name, tokenHash, token.slice(0, 10), role, createdBy, expiresAt]
+    );
+
+    this.apiTokens.set(tokenHash, {
+      id: result.insertId,
+      name,
+      role,
+      expires_at: expiresAt,
+    });
+
+    console.log(`🔐 Created ${role} API token "${name}"`);
+    return {
+      id: result.insertId,
+      name,
+      role,
+      token,
+      expires_at: expiresAt ? expiresAt.toISOString() : null,
+    };
+  }
+
+  async revokeApiToken(tokenId) {
+    const [result] = await this.db.execute(
+      "UPDATE api_tokens SET revoked_at = ? WHERE id = ? AND revoked_at IS NULL",
+      [new Date(), tokenId]
+    );
+
+    for (const [tokenHash, apiToken] of this.apiTokens) {
+      if (apiToken.id === tokenId) this.apiTokens.delete(tokenHash);
+    }
+
+    return result.affectedRows > 0;
+  }
+
+  // Load the per-store and per-region alert threshold/cooldown overrides
+  async loadAlertSettings() {
+    try {
+      const [rows] = await this.db.execute("SELECT * FROM alert_settings");
+
+      this.alertSettings.clear();
+      for (const row of rows) {
+        this.alertSettings.set(
+          `${row.scope_type}:${row.scope_id}`,
+          this.normalizeAlertSettings(row)
+        );
+      }
+      console.log(
+        `⏱️ Loaded ${this.alertSettings.size} alert setting overrides`
+      );
+    } catch (error) {
+      console.error(`❌ Error loading alert settings: ${error.message}`);
+    }
+  }
+
+  // The overridden fields of an alert_settings row
+  normalizeAlertSettings(row) {
+    const overrides = {};
+    for (const field of Object.keys(ALERT_SETTING_FIELDS)) {
+      if (row[field] !== null && row[field] !== undefined) {
+        overrides[field] = row[field];
+      }
+    }
+    return overrides;
+  }
+
+  // The thresholds and cooldowns that apply to a store: its own overrides,
+  // then its groups' (oldest group first), then its region's, then the
+  // server config. A store registered with a long heartbeat interval isn't
+  // called offline before it has missed two heartbeats, unless a threshold
+  // was set for it. `source` says where each value came from.
+  getAlertSettings(storeId) {
+    const region = this.allStores.get(storeId)?.region;
+    const layers = [
+      ["store", this.alertSettings.get(`store:${storeId}`)],
+      ...this.getStoreGroups(storeId).map((group) => [
+        `group:${group.name}`,
+        this.alertSettings.get(`group:${group.id}`),
+      ]),
+      ["region", region ? this.alertSettings.get(`region:${region}`) : null],
+    ];
+
+    const settings = {};
+    const sources = {};
+    for (const [field, configKey] of Object.entries(ALERT_SETTING_FIELDS)) {
+      const [source, overrides] = layers.find(
+        ([, overrides]) => overrides?.[field] !== undefined
+      ) || ["default", { [field]: this[configKey] }];
+
+      settings[field] = overrides[field];
+      sources[field] = source;
+    }
+
+    const intervalSeconds = parseInt(
+      this.allStores.get(storeId)?.expected_heartbeat_interval_seconds
+    );
+    const intervalThreshold = Math.ceil((intervalSeconds * 2) / 60);
+    if (
+      sources.alert_threshold_minutes === "default" &&
+      intervalThreshold > settings.alert_threshold_minutes
+    ) {
+      settings.alert_threshold_minutes = intervalThreshold;
+      sources.alert_threshold_minutes = "heartbeat_interval";
+    }
+    return { ...settings, source: sources };
+  }
+
+  // Set overrides for a store, group or region. A field set to null goes back to
+  // being inherited; fields not given are left alone.
+  async saveAlertSettings(scopeType, scopeId, changes, updatedBy = null) {
+    const key = `${scopeType}:${scopeId}`;
+    const overrides = { ...this.alertSettings.get(key) };
+    for (const [field, value] of Object.entries(changes)) {
+      if (value === null) {
+        delete overrides[field];
+      } else {
+        overrides[field] = value;
+      }
+    }
+
+    if (Object.keys(overrides).length === 0) {
+      await this.deleteAlertSettings(scopeType, scopeId);
+      return overrides;
+    }
+
+    const fields = Object.keys(ALERT_SETTING_FIELDS);
+    await this.db.execute(
+      `INSERT INTO alert_settings (scope_type, scope_id, ${fields.join(
+        ", "
+      )}, updated_by)
+       VALUES (?, ?, ${fields.map(() => "?").join(", ")}, ?)
+       ON DUPLICATE KEY UPDATE ${fields
+         .map((field) => `${field} = VALUES(${field})`)
+         .join(", ")}, updated_by = VALUES(updated_by)`,
+      [
+        scopeType,
+        scopeId,
+        ...fields.map((field) => overrides[field] ?? null),
+        updatedBy,
+      ]
+    );
+
+    this.alertSettings.set(key, overrides);
+    console.log(`⏱️ Updated alert settings for ${scopeType} ${scopeId}`);
+    return overrides;
+  }
+
+  async deleteAlertSettings(scopeType, scopeId) {
+    const [result] = await this.db.execute(
+      "DELETE FROM alert_settings WHERE scope_type = ? AND scope_id = ?",
+      [scopeType, scopeId]
+    );
+    this.alertSettings.delete(`${scopeType}:${scopeId}`);
+    return result.affectedRows > 0;
+  }
+
+  // Load maintenance windows that are still running or scheduled
+  async loadMaintenanceWindows() {
+    try {
+      const [windows] = await this.db.execute(
+        `SELECT * FROM maintenance_windows
+         WHERE cancelled = FALSE AND (ends_at IS NULL OR ends_at > ?)`,
+        [new Date()]
+      );
+
+      this.maintenanceWindows = windows.map((window) =>
+        this.normalizeMaintenanceWindow(window)
+      );
+      console.log(
+        `🛠️ Loaded ${this.maintenanceWindows.length} maintenance windows`
+      );
+    } catch (error) {
+      console.error(`❌ Error loading maintenance windows: ${error.message}`);
+    }
+  }
+
+  // Turn a maintenance_windows row into the shape used in memory and the API
+  normalizeMaintenanceWindow(row) {
+    const storeIds =
+      typeof row.store_ids === "string"
+        ? JSON.parse(row.store_ids)
+        : row.store_ids || [];
+
+    return {
+      id: row.id,
+      title: row.title,
+      store_ids: storeIds.map(String),
+      recurrence: row.recurrence || "none",
+      starts_at: new Date(row.starts_at),
+      ends_at: row.ends_at ? new Date(row.ends_at) : null,
+      duration_minutes: row.duration_minutes,
+      days_of_week: row.days_of_week
+        ? String(row.days_of_week).split(",").map(Number)
+        : [],
+      reason: row.reason,
+      created_by: row.created_by,
+      cancelled: !!row.cancelled,
+      cancelled_at: row.cancelled_at ? new Date(row.cancelled_at) : null,
+      created_at: row.created_at ? new Date(row.created_at) : null,
+    };
+  }
+
+  // Expand a window into its concrete [start, end) occurrences overlapping
+  // from..to. One-off windows have a single occurrence; recurring ones repeat
+  // at starts_at's local time of day until ends_at (or forever).
+  getMaintenanceOccurrences(window, from, to) {
+    if (window.recurrence === "none") {
+      const end = window.ends_at;
+      return window.starts_at < to && (!end || end > from)
+        ? [{ start: window.starts_at, end }]
+        : [];
+    }
+
+    const occurrences = [];
+    const durationMs = window.duration_minutes * 60 * 1000;
+    const days =
+      window.recurrence === "weekly" && window.days_of_week.length > 0
+        ? window.days_of_week
+        : window.recurrence === "weekly"
+        ? [window.starts_at.getDay()]
+        : [0, 1, 2, 3, 4, 5, 6];
+
+    // Start a day early so an occurrence running past midnight is included
+    const day = new Date(Math.max(from - durationMs, window.starts_at));
+    day.setHours(
+      window.starts_at.getHours(),
+      window.starts_at.getMinutes(),
+      0,
+      0
+    );
+    day.setDate(day.getDate() - 1);
+
+    while (day < to) {
+      const start = new Date(day);
+      const end = new Date(start.getTime() + durationMs);
+
+      if (
+        days.includes(start.getDay()) &&
+        start >= window.starts_at &&
+        (!window.ends_at || start < window.ends_at) &&
+        end > from
+      ) {
+        occurrences.push({ start, end });
+      }
+      day.setDate(day.getDate() + 1);
+    }
+
+    return occurrences;
+  }
+
+  // The maintenance window covering a store at a point in time, if any
+  getActiveMaintenance(storeId, at = new Date()) {
+    const probeEnd = new Date(at.getTime() + 1);
+
+    for (const window of this.maintenanceWindows) {
+      if (window.cancelled || !window.store_ids.includes(String(storeId))) {
+        continue;
+      }
+
+      const occurrence = this.getMaintenanceOccurrences(
+        window,
+        at,
+        probeEnd
+      )[0];
+      if (occurrence) {
+        return {
+          id: window.id,
+          title: window.title,
+          reason: window.reason,
+          started_at: occurrence.start.toISOString(),
+          ends_at: occurrence.end ? occurrence.end.toISOString() : null,
+        };
+      }
+    }
+
+    return null;
+  }
+
+  async createMaintenanceWindow(window) {
+    const [result] = await this.db.execute(
+      `INSERT INTO maintenance_windows
+       (title, store_ids, recurrence, starts_at, ends_at, duration_minutes, days_of_week, reason, created_by)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        window.title,
+        JSON.stringify(window.store_ids),
+        window.recurrence,
+        window.starts_at,
+        window.ends_at,
+        window.duration_minutes,
+        window.days_of_week.length > 0 ? window.days_of_week.join(",") : null,
+        window.reason,
+        window.created_by,
+      ]
+    );
+
+    await this.loadMaintenanceWindows();
+    console.log(
+      `🛠️ Maintenance window #${
+        result.insertId
+      } created for stores ${window.store_ids.join(", ")}`
+    );
+    return result.insertId;
+  }
+
+  async cancelMaintenanceWindow(windowId) {
+    const [result] = await this.db.execute(
+      `UPDATE maintenance_windows
+       SET cancelled = TRUE, cancelled_at = ?
+       WHERE id = ? AND cancelled = FALSE`,
+      [new Date(), windowId]
+    );
+
+    await this.loadMaintenanceWindows();
+    return result.affectedRows > 0;
+  }
+
+  // Sync with database to find any stores not in memory
+  async syncWithDatabase(timestamp) {
+    try {
+      const [dbStores] = await this.db.execute(
+        `SELECT store_id, store_name, address, region, contact_person, contact_phone,
+           expected_heartbeat_interval_seconds, last_heartbeat, status
+         FROM stores`
+      );
+
+      for (const dbStore of dbStores) {
+        if (!this.allStores.has(dbStore.store_id)) {
+          console.log(
+            `🔄 Found store ${dbStore.store_id} in DB but not in memory, adding...`
+          );
+
+          this.allStores.set(dbStore.store_id, {
+            ...this.pickStoreRegistration(dbStore),
+            store_id: dbStore.store_id,
+            store_name: dbStore.store_name || `Store ${dbStore.store_id}`,
+            location: "Unknown",
+            status: dbStore.status,
+            last_heartbeat: dbStore.last_heartbeat
+              ? new Date(dbStore.last_heartbeat)
+              : null,
+            last_seen: dbStore.last_heartbeat
+              ? new Date(dbStore.last_heartbeat)
+              : null,
+            config: {
+              store_name: dbStore.store_name || `Store ${dbStore.store_id}`,
+              location: "Unknown",
+            },
+            data: null,
+            metrics: {},
+            updated_at: timestamp,
+            first_seen: dbStore.last_heartbeat
+              ? new Date(dbStore.last_heartbeat)
+              : timestamp,
+          });
+        }
+      }
+    } catch (error) {
+      console.error(`❌ Error syncing with database: ${error.message}`);
+    }
+  }
+
+  // Update store status in database
+  async updateStoreStatusInDB(storeId, status, timestamp) {
+    try {
+      await this.db.execute(
+        `UPDATE stores SET status = ?, updated_at = ? WHERE store_id = ?`,
+        [status, timestamp, storeId]
+      );
+    } catch (error) {
+      console.error(`❌ Error updating store status: ${error.message}`);
+    }
+  }
+
+  // Check if we can send offline alert (prevent spam)
+  canSendOfflineAlert(storeId) {
+    // Someone has picked the incident up - stop repeating it at them
+    if (this.offlineIncidents.get(storeId)?.acknowledged_at) {
+      return false;
+    }
+
+    const lastAlert = this.lastOfflineAlerts.get(storeId);
+    if (!lastAlert) {
+      this.lastOfflineAlerts.set(storeId, new Date());
+      return true;
+    }
+
+    const minutesSince = (new Date() - lastAlert) / (1000 * 60);
+    if (
+      minutesSince >=
+      this.getAlertSettings(storeId).offline_alert_cooldown_minutes
+    ) {
+      this.lastOfflineAlerts.set(storeId, new Date());
+      return true;
+    }
+
+    return false;
+  }
+
+  // Get the store's current offline incident, starting one if needed
+  openOfflineIncident(storeId, startedAt = new Date()) {
+    if (!this.offlineIncidents.has(storeId)) {
+      this.offlineIncidents.set(storeId, {
+        alert_id: null, // id of the first offline alert of the incident
+        started_at: startedAt,
+        escalation_level: 1,
+        acknowledged_by: null,
+        acknowledged_at: null,
+      });
+    }
+    return this.offlineIncidents.get(storeId);
+  }
+
+  // Close the offline incident of a store whose alert was resolved by hand,
+  // so it doesn't repeat or escalate. If the store is still down, a new
+  // incident starts and its first repeat waits out the cooldown.
+  forgetOfflineIncident(storeId) {
+    this.offlineIncidents.delete(storeId);
+    this.lastOfflineAlerts.set(storeId, new Date());
+  }
+
+  // Incident details for the API
+  getIncidentInfo(storeId) {
+    const incident = this.offlineIncidents.get(storeId);
+    if (!incident) return null;
+
+    return {
+      alert_id: incident.alert_id,
+      started_at: incident.started_at.toISOString(),
+      escalation_level: incident.escalation_level,
+      acknowledged: !!incident.acknowledged_at,
+      acknowledged_by: incident.acknowledged_by,
+      acknowledged_at: incident.acknowledged_at
+        ? incident.acknowledged_at.toISOString()
+        : null,
+    };
+  }
+
+  // Count an online/offline change. Once there have been
+  // flappingTransitions of them within the window the store is flapping: one
+  // alert goes out and returns true, as do later changes while it flaps.
+  // Returns false when the change should be alerted on as usual.
+  async recordTransition(storeId, status, timestamp) {
+    if (!this.flappingDetection) return false;
+
+    const windowStart = timestamp - this.flappingWindowMinutes * 60 * 1000;
+    const transitions = (this.storeTransitions.get(storeId) || []).filter(
+      (time) => time >= windowStart
+    );
+    transitions.push(timestamp);
+    this.storeTransitions.set(storeId, transitions);
+
+    const flapping = this.flappingStores.get(storeId);
+    if (flapping) {
+      flapping.last_transition = timestamp;
+      return true;
+    }
+
+    if (transitions.length < this.flappingTransitions) return false;
+
+    const store = this.allStores.get(storeId);
+    const state = {
+      alert_id: null,
+      since: timestamp,
+      last_transition: timestamp,
+    };
+    this.flappingStores.set(storeId, state);
+    console.log(
+      `   🔁 Store ${storeId} is FLAPPING (${transitions.length} changes in ${this.flappingWindowMinutes} minutes)`
+    );
+
+    state.alert_id = await this.sendAlert(
+      storeId,
+      "flapping",
+      `Store ${store?.store_name || storeId} (${storeId}) is flapping: ${
+        transitions.length
+      } online/offline changes in the last ${
+        this.flappingWindowMinutes
+      } minutes, now ${status}. Offline and recovery alerts are held back until it has been stable for ${
+        this.flappingStableMinutes
+      } minutes.`,
+      "high"
+    );
+    return true;
+  }
+
+  // Back to normal alerting once a flapping store has gone
+  // flappingStableMinutes without changing
+  async checkFlappingStable(storeId, timestamp) {
+    const flapping = this.flappingStores.get(storeId);
+    if (
+      !flapping ||
+      (timestamp - flapping.last_transition) / (1000 * 60) <
+        this.flappingStableMinutes
+    ) {
+      return;
+    }
+
+    this.forgetFlapping(storeId);
+    await this.resolveAlerts(storeId, "flapping");
+    console.log(
+      `   🔁 Store ${storeId} has been stable for ${this.flappingStableMinutes} minutes - no longer flapping`
+    );
+  }
+
+  // Stop treating a store as flapping (also when its alert is resolved by
+  // hand), with its change count starting over
+  forgetFlapping(storeId) {
+    this.flappingStores.delete(storeId);
+    this.storeTransitions.delete(storeId);
+  }
+
+  // Flapping details for the API
+  getFlappingInfo(storeId) {
+    const flapping = this.flappingStores.get(storeId);
+    if (!flapping) return null;
+
+    return {
+      alert_id: flapping.alert_id,
+      since: flapping.since.toISOString(),
+      last_transition: flapping.last_transition.toISOString(),
+      transitions_in_window: (this.storeTransitions.get(storeId) || []).filter(
+        (time) => Date.now() - time <= this.flappingWindowMinutes * 60 * 1000
+      ).length,
+      stable_after: new Date(
+        flapping.last_transition.getTime() +
+          this.flappingStableMinutes * 60 * 1000
+      ).toISOString(),
+    };
+  }
+
+  // The open mass outage a store is part of, if any
+  getMassOutage(storeId) {
+    for (const outage of this.massOutages.values()) {
+      if (outage.store_ids.has(storeId)) return outage;
+    }
+    return null;
+  }
+
+  // "the whole fleet" / "group Downtown" for alert messages
+  describeOutageScope(scope) {
+    if (scope === "fleet") return "the whole fleet";
+    const group = this.storeGroups.get(parseInt(scope.slice("group:".length)));
+    return `group ${group ? group.name : scope}`;
+  }
+
+  // Mass outage details for the API and the outage emails
+  describeMassOutage(outage) {
+    return {
+      alert_id: outage.alert_id,
+      scope: outage.scope,
+      scope_name: this.describeOutageScope(outage.scope),
+      started_at: outage.started_at.toISOString(),
+      stores: [...outage.store_ids].map((storeId) => {
+        const store = this.allStores.get(storeId);
+        return {
+          store_id: storeId,
+          store_name: store?.store_name || `Store ${storeId}`,
+          status: store?.status || "unknown",
+          last_heartbeat: store?.last_heartbeat
+            ? store.last_heartbeat.toISOString()
+            : null,
+        };
+      }),
+    };
+  }
+
+  // Whether silentCount of totalCount stores going quiet is a mass outage
+  isMassOutage(silentCount, totalCount) {
+    return (
+      silentCount >= this.massOutageMinStores &&
+      (silentCount / totalCount) * 100 >= this.massOutagePercent
+    );
+  }
+
+  // Largest set of the given stores whose last heartbeats all fall within
+  // massOutageWindowMinutes of each other
+  findSilenceCluster(storeIds) {
+    const stores = storeIds
+      .map((storeId) => this.allStores.get(storeId))
+      .sort((a, b) => a.last_heartbeat - b.last_heartbeat);
+    const windowMs = this.massOutageWindowMinutes * 60 * 1000;
+
+    let cluster = [];
+    let start = 0;
+    for (let end = 0; end < stores.length; end++) {
+      while (
+        stores[end].last_heartbeat - stores[start].last_heartbeat >
+        windowMs
+      ) {
+        start++;
+      }
+      if (end - start + 1 > cluster.length) {
+        cluster = stores.slice(start, end + 1);
+      }
+    }
+    return cluster.map((store) => store.store_id);
+  }
+
+  // Everyone who'd have had an offline alert for one of the stores
+  getMassOutageRecipients(storeIds) {
+    return [
+      ...new Set(
+        storeIds.flatMap((storeId) => this.getEmailRecipients(storeId))
+      ),
+    ];
+  }
+
+  // Open, grow and close mass outages for a health check. Outages are looked
+  // for across the fleet and within each group; the fleet comes first, so
+  // its stores aren't reported again for their groups. Returns the number of
+  // alerts sent.
+  async updateMassOutages(monitoredStoreIds, silentStoreIds, timestamp) {
+    if (!this.massOutageDetection) return 0;
+
+    const silent = new Set(silentStoreIds);
+    const scopes = [{ scope: "fleet", storeIds: monitoredStoreIds }];
+    for (const group of this.storeGroups.values()) {
+      scopes.push({
+        scope: `group:${group.id}`,
+        storeIds: monitoredStoreIds.filter((storeId) =>
+          group.store_ids.has(storeId)
+        ),
+      });
+    }
+    // Outages of a group that has since been deleted still need closing
+    for (const [scope, outage] of this.massOutages) {
+      if (!scopes.some((entry) => entry.scope === scope)) {
+        scopes.push({
+          scope,
+          storeIds: monitoredStoreIds.filter((storeId) =>
+            outage.store_ids.has(storeId)
+          ),
+        });
+      }
+    }
+
+    let alertsSent = 0;
+    for (const { scope, storeIds } of scopes) {
+      const outage = this.massOutages.get(scope);
+
+      if (!outage) {
+        const cluster = this.findSilenceCluster(
+          storeIds.filter(
+            (storeId) => silent.has(storeId) && !this.getMassOutage(storeId)
+          )
+        );
+        if (this.isMassOutage(cluster.length, storeIds.length)) {
+          await this.openMassOutage(scope, cluster, storeIds.length, timestamp);
+          alertsSent++;
+        }
+        continue;
+      }
+
+      // Stores that go quiet once the outage has started are part of it
+      const windowMs = this.massOutageWindowMinutes * 60 * 1000;
+      const joining = storeIds.filter(
+        (storeId) =>
+          silent.has(storeId) &&
+          !this.getMassOutage(storeId) &&
+          this.allStores.get(storeId).last_heartbeat >=
+            outage.started_at - windowMs
+      );
+      if (joining.length > 0) {
+        joining.forEach((storeId) => outage.store_ids.add(storeId));
+        await this.saveMassOutageStores(outage.alert_id, joining, timestamp);
+        console.log(
+          `🌐 ${joining.length} more store(s) joined mass outage #${outage.alert_id}`
+        );
+      }
+
+      // Over once too few of its stores are still silent to call it one
+      const stillSilent = [...outage.store_ids].filter((storeId) =>
+        silent.has(storeId)
+      );
+      if (!this.isMassOutage(stillSilent.length, storeIds.length)) {
+        await this.closeMassOutage(outage, stillSilent, timestamp);
+        alertsSent++;
+      }
+    }
+
+    return alertsSent;
+  }
+
+  // Raise one alert for all the stores instead of one each
+  async openMassOutage(scope, storeIds, totalStores, timestamp) {
+    const outage = {
+      alert_id: null,
+      scope,
+      started_at: timestamp,
+      store_ids: new Set(storeIds),
+    };
+    this.massOutages.set(scope, outage);
+
+    const scopeName = this.describeOutageScope(scope);
+    console.log(
+      `🌐 MASS OUTAGE in ${scopeName}: ${storeIds.length} of ${totalStores} stores went silent`
+    );
+
+    outage.alert_id = await this.sendAlert(
+      null,
+      "mass_outage",
+      `Mass outage in ${scopeName}: ${
+        storeIds.length
+      } of ${totalStores} stores (${Math.round(
+        (storeIds.length / totalStores) * 100
+      )}%) stopped sending heartbeats within ${
+        this.massOutageWindowMinutes
+      } minutes of each other. Offline alerts for these stores are held back until the outage is over.`,
+      "critical",
+      { mass_outage: this.describeMassOutage(outage) },
+      {
+        alertKey: scope,
+        storeInfo: {
+          store_name: `Mass outage (${scopeName})`,
+          location: `${storeIds.length} stores`,
+        },
+        recipients: this.getMassOutageRecipients(storeIds),
+      }
+    );
+    await this.saveMassOutageStores(outage.alert_id, storeIds, timestamp);
+  }
+
+  async saveMassOutageStores(alertId, storeIds, timestamp) {
+    if (!alertId) return;
+
+    try {
+      for (const storeId of storeIds) {
+        await this.db.execute(
+          `INSERT IGNORE INTO mass_outage_stores (alert_id, store_id, added_at)
+           VALUES (?, ?, ?)`,
+          [alertId, storeId, timestamp]
+        );
+      }
+    } catch (error) {
+      console.error(
+        `❌ Error saving mass outage #${alertId} stores: ${error.message}`
+      );
+    }
+  }
+
+  // Resolve the outage and send one recovery for its stores. Any that are
+  // still offline go back to their own offline alerts.
+  async closeMassOutage(outage, stillSilent, timestamp) {
+    this.massOutages.delete(outage.scope);
+    const details = this.describeMassOutage(outage);
+    const storeIds = [...outage.store_ids];
+    const recovered = storeIds.length - stillSilent.length;
+
+    try {
+      await this.db.execute(
+        `UPDATE alerts
+         SET resolved = TRUE, resolved_at = ?, resolved_by = 'system'
+         WHERE id = ? AND resolved = FALSE`,
+        [timestamp, outage.alert_id]
+      );
+      this.publishEvent("alert_resolved", {
+        store_id: null,
+        alert_id: outage.alert_id,
+        alert_type: "mass_outage",
+        alert_key: outage.scope,
+        resolved_by: "system",
+        count: 1,
+      });
+    } catch (error) {
+      console.error(`❌ Error resolving mass outage: ${error.message}`);
+    }
+
+    console.log(
+      `🌐 Mass outage #${outage.alert_id} in ${details.scope_name} is over (${recovered}/${storeIds.length} stores back)`
+    );
+
+    await this.sendAlert(
+      null,
+      "mass_outage_recovery",
+      `Mass outage in ${details.scope_name} is over after ${this.formatDuration(
+        timestamp - outage.started_at
+      )}: ${recovered} of ${storeIds.length} stores are back online.${
+        stillSilent.length > 0
+          ? ` Still offline (their own alerts resume): ${stillSilent
+              .map(
+                (storeId) =>
+                  `${
+                    this.allStores.get(storeId)?.store_name || "Store"
+                  } (${storeId})`
+              )
+              .join(", ")}.`
+          : ""
+      }`,
+      "medium",
+      { mass_outage: details },
+      {
+        alertKey: outage.scope,
+        storeInfo: {
+          store_name: `Mass outage (${details.scope_name})`,
+          location: `${storeIds.length} stores`,
+        },
+        recipients: this.getMassOutageRecipients(storeIds),
+      }
+    );
+  }
+
+  // Stop tracking an outage that was resolved by hand. Its stores go back
+  // to their own alerts without a grouped recovery.
+  forgetMassOutage(alertId) {
+    for (const [scope, outage] of this.massOutages) {
+      if (outage.alert_id === alertId) this.massOutages.delete(scope);
+    }
+  }
+
+  // HMAC over the alert, recipient and expiry so links can't be forged
+  signAckToken(alertId, acknowledgedBy, expires) {
+    return crypto
+      .createHmac("sha256", this.ackSecret)
+      .update(`${alertId}:${acknowledgedBy}:${expires}`)
+      .digest("hex");
+  }
+
+  // Acknowledge links for an offline incident, one per acknowledger
+  createAckLinks(incident, acknowledgers) {
+    if (!incident || !this.ackSecret) return [];
+
+    return acknowledgers.map((recipient) => ({
+      recipient,
+      url: this.createAckLink(incident.alert_id, recipient),
+    }));
+  }
+
+  createAckLink(alertId, recipient) {
+    const expires = Date.now() + this.ackLinkTtlHours * 60 * 60 * 1000;
+    const signature = this.signAckToken(alertId, recipient, expires);
+
+    return `${
+      this.publicBaseUrl
+    }/alerts/${alertId}/acknowledge?by=${encodeURIComponent(
+      recipient
+    )}&expires=${expires}&sig=${signature}`;
+  }
+
+  verifyAckToken(alertId, acknowledgedBy, expires, signature) {
+    if (!this.ackSecret || !acknowledgedBy || !expires || !signature) {
+      return { valid: false, reason: "Invalid acknowledge link" };
+    }
+
+    const expected = Buffer.from(
+      this.signAckToken(alertId, acknowledgedBy, expires)
+    );
+    const provided = Buffer.from(String(signature));
+    if (
+      expected.length !== provided.length ||
+      !crypto.timingSafeEqual(expected, provided)
+    ) {
+      return { valid: false, reason: "Invalid acknowledge link" };
+    }
+
+    if (Date.now() > parseInt(expires)) {
+      return { valid: false, reason: "This acknowledge link has expired" };
+    }
+
+    return { valid: true };
+  }
+
+  // Record an acknowledgement against every open offline alert of the
+  // incident and stop the repeat emails
+  async acknowledgeIncident(alertId, acknowledgedBy) {
+    const [alerts] = await this.db.execute(
+      `SELECT id, store_id, alert_type, resolved, acknowledged_by, acknowledged_at
+       FROM alerts WHERE id = ?`,
+      [alertId]
+    );
+    const alert = alerts[0];
+
+    if (!alert || alert.alert_type !== "offline") {
+      return { status: "not_found" };
+    }
+    if (alert.resolved) {
+      return { status: "resolved", alert };
+    }
+    if (alert.acknowledged_at) {
+      return { status: "already_acknowledged", alert };
+    }
+
+    const acknowledgedAt = new Date();
+    await this.db.execute(
+      `UPDATE alerts
+       SET acknowledged_by = ?, acknowledged_at = ?
+       WHERE store_id = ? AND alert_type = 'offline' AND resolved = FALSE
+         AND acknowledged_at IS NULL`,
+      [acknowledgedBy, acknowledgedAt, alert.store_id]
+    );
+
+    const incident = this.offlineIncidents.get(alert.store_id);
+    if (incident) {
+      incident.acknowledged_by = acknowledgedBy;
+      incident.acknowledged_at = acknowledgedAt;
+    }
+
+    console.log(
+      `   🙋 Offline incident for store ${alert.store_id} acknowledged by ${acknowledgedBy}`
+    );
+
+    return {
+      status: "acknowledged",
+      alert: {
+        ...alert,
+        acknowledged_by: acknowledgedBy,
+        acknowledged_at: acknowledgedAt,
+      },
+    };
+  }
+
+  // Send email alert using existing alerts table schema
+  async sendAlert(
+    storeId,
+    alertType,
+    message,
+    severity = "medium",
+    storeData = null,
+    options = {}
+  ) {
+    let alertId = null;
+
+    try {
+      // Map alert types to match existing schema and improve logging
+      const alertTypeMapping = {
+        startup: "test", // Using test as closest match for startup
+        recovery: "test", // Using test as closest match for recovery
+        offline: "offline",
+        system_warning: "system_warning",
+        camera_failure: "camera_failure",
+        camera_recovery: "camera_failure", // Recovery of a camera_failure
+        mass_outage: "mass_outage",
+        mass_outage_recovery: "mass_outage", // End of a mass_outage
+        flapping: "flapping",
+      };
+
+      const dbAlertType = alertTypeMapping[alertType] || "offline";
+
+      // Good-news alerts have nothing left to fix, so they're stored resolved
+      const now = new Date();
+      const resolved =
+        options.resolved ?? INFORMATIONAL_ALERT_TYPES.includes(alertType);
+
+      // Store alert in database using existing schema
+      const [result] = await this.db.execute(
+        `INSERT INTO alerts
+         (store_id, alert_type, message, severity, alert_key, escalation_level, resolved, resolved_at, resolved_by, timestamp)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          storeId,
+          dbAlertType,
+          message,
+          severity,
+          options.alertKey || null,
+          options.escalationLevel || null,
+          resolved,
+          resolved ? now : null,
+          resolved ? "system" : null,
+          now,
+        ]
+      );
+      alertId = result.insertId;
+      this.incrementCounter("alerts", alertType);
+
+      // The first alert of an incident is the one acknowledge links point at
+      const incident = options.incident || null;
+      if (incident && !incident.alert_id) {
+        incident.alert_id = alertId;
+      }
+
+      console.log(
+        `   📝 Alert stored in database: ${alertType} for store ${storeId}`
+      );
+
+      const storeInfo = options.storeInfo || this.allStores.get(storeId);
+      this.publishEvent("alert", {
+        alert_id: alertId,
+        store_id: storeId,
+        store_name: storeInfo?.store_name || `Store ${storeId}`,
+        alert_type: alertType,
+        severity,
+        message,
+        escalation_level: options.escalationLevel || null,
+        resolved,
+        timestamp: now.toISOString(),
+      });
+      const recipients = options.recipients || this.getEmailRecipients(storeId);
+      const notification = {
+        alert_id: alertId,
+        store_id: storeId,
+        store_name: storeInfo?.store_name || `Store ${storeId}`,
+        location: storeInfo?.location || "Unknown",
+        alert_type: alertType,
+        severity,
+        message,
+        escalation_level: options.escalationLevel || 1,
+        recipients,
+        store_data: storeData,
+        store_info: storeInfo,
+        timestamp: now.toISOString(),
+      };
+
+      for (const channel of this.getNotificationChannels(storeId)) {
+        // Email gets an acknowledge link per recipient; chat and webhook
+        // channels get one link that records the channel as acknowledger
+        const channelNotification = {
+          ...notification,
+          ack_links: this.createAckLinks(
+            incident,
+            channel.type === "email" ? recipients : [`${channel.type} channel`]
+          ),
+        };
+
+        if (!channel.accepts(channelNotification)) {
+          console.log(
+            `   ⏭️ ${channel.describe()} skipped for ${alertType} alert (${storeId})`
+          );
+          continue;
+        }
+
+        const payload = channel.render(channelNotification);
+        console.log(
+          `   📤 Queueing ${alertType} alert via ${channel.describe()}`
+        );
+        await this.enqueueNotification(alertId, storeId, channel, payload);
+      }
+
+      // Deliver straight away rather than waiting for the next queue run
+      setImmediate(() => this.processNotificationQueue());
+    } catch (error) {
+      console.error(`   ❌ Alert error for ${alertType}: ${error.message}`);
+    }
+
+    return alertId;
+  }
+
+  // Persist a rendered notification so it survives SMTP/webhook failures and
+  // restarts. If the queue itself can't be written, fall back to a direct
+  // best-effort delivery rather than dropping the alert.
+  async enqueueNotification(alertId, storeId, channel, payload) {
+    try {
+      await this.db.execute(
+        `INSERT INTO notification_queue
+         (alert_id, store_id, channel_type, channel_config, payload, status, max_attempts, next_attempt_at)
+         VALUES (?, ?, ?, ?, ?, 'queued', ?, ?)`,
+        [
+          alertId,
+          storeId,
+          channel.type,
+          JSON.stringify(channel.config),
+          JSON.stringify(payload),
+          this.notificationMaxAttempts,
+          new Date(),
+        ]
+      );
+    } catch (error) {
+      console.error(
+        `   ❌ Could not queue notification (${error.message}) - sending directly`
+      );
+      setImmediate(async () => {
+        try {
+          await channel.deliver(payload);
+          console.log(
+            `   ✅ Notification sent directly via ${channel.describe()}`
+          );
+        } catch (deliveryError) {
+          this.incrementCounter("notificationFailures", channel.type);
+          console.error(
+            `   ❌ Direct delivery via ${channel.describe()} failed: ${
+              deliveryError.message
+            }`
+          );
+        }
+      });
+    }
+  }
+
+  // Deliver due notifications from the queue, retrying failures with
+  // exponential backoff until they run out of attempts
+  async processNotificationQueue() {
+    if (this.processingNotificationQueue) return;
+    this.processingNotificationQueue = true;
+
+    try {
+      const [rows] = await this.db.execute(
+        `SELECT * FROM notification_queue
+         WHERE status = 'queued' AND next_attempt_at <= ?
+         ORDER BY id
+         LIMIT 20`,
+        [new Date()]
+      );
+
+      for (const row of rows) {
+        await this.deliverQueuedNotification(row);
+      }
+    } catch (error) {
+      console.error(`❌ Notification queue error: ${error.message}`);
+    } finally {
+      this.processingNotificationQueue = false;
+    }
+  }
+
+  async deliverQueuedNotification(row) {
+    const parse = (value) =>
+      typeof value === "string" ? JSON.parse(value) : value;
+    const attempts = row.attempts + 1;
+    let channel = null;
+
+    try {
+      channel = createNotificationChannel(parse(row.channel_config), this);
+      await channel.deliver(parse(row.payload));
+
+      await this.db.execute(
+        `UPDATE notification_queue
+         SET status = 'sent', attempts = ?, sent_at = ?, last_error = NULL
+         WHERE id = ?`,
+        [attempts, new Date(), row.id]
+      );
+      console.log(
+        `   ✅ Notification #${row.id} (alert ${
+          row.alert_id
+        }) sent via ${channel.describe()}`
+      );
+    } catch (error) {
+      this.incrementCounter(
+        "notificationFailures",
+        channel ? channel.type : row.channel_type
+      );
+      const exhausted = attempts >= row.max_attempts;
+      const backoffSeconds = Math.min(
+        this.notificationRetryBaseSeconds * 2 ** (attempts - 1),
+        60 * 60
+      );
+      const nextAttemptAt = new Date(Date.now() + backoffSeconds * 1000);
+
+      await this.db.execute(
+        `UPDATE notification_queue
+         SET status = ?, attempts = ?, last_error = ?, next_attempt_at = ?
+         WHERE id = ?`,
+        [
+          exhausted ? "failed" : "queued",
+          attempts,
+          error.message,
+          nextAttemptAt,
+          row.id,
+        ]
+      );
+      console.error(
+        `   ❌ Notification #${row.id} via ${
+          channel ? channel.describe() : row.channel_type
+        } failed (attempt ${attempts}/${row.max_attempts}): ${error.message}${
+          exhausted ? " - giving up" : ` - retrying in ${backoffSeconds}s`
+        }`
+      );
+    }
+  }
+
+  // Resolve open alerts of a type for a store once the condition has cleared.
+  // Pass an alertKey to only close alerts about one metric or camera.
+  async resolveAlerts(
+    storeId,
+    dbAlertType,
+    alertKey = null,
+    resolvedBy = "system"
+  ) {
+    try {
+      const params = [new Date(), resolvedBy, storeId, dbAlertType];
+      let keyFilter = "";
+      if (alertKey) {
+        keyFilter = "AND alert_key = ?";
+        params.push(alertKey);
+      }
+
+      const [result] = await this.db.execute(
+        `UPDATE alerts
+         SET resolved = TRUE, resolved_at = ?, resolved_by = ?
+         WHERE store_id = ? AND alert_type = ? AND resolved = FALSE ${keyFilter}`,
+        params
+      );
+
+      if (result.affectedRows > 0) {
+        console.log(
+          `   ☑️ Resolved ${result.affectedRows} open ${dbAlertType} alert(s) for store ${storeId}`
+        );
+        this.publishEvent("alert_resolved", {
+          store_id: storeId,
+          alert_id: null,
+          alert_type: dbAlertType,
+          alert_key: alertKey,
+          resolved_by: resolvedBy,
+          count: result.affectedRows,
+        });
+      }
+      return result.affectedRows;
+    } catch (error) {
+      console.error(`   ❌ Error resolving alerts: ${error.message}`);
+      return 0;
+    }
+  }
+
+  // Create email subject
+  createEmailSubject(
+    storeId,
+    alertType,
+    severity,
+    storeInfo,
+    escalationLevel = 1
+  ) {
+    const storeName = storeInfo?.store_name || `Store ${storeId}`;
+
+    const escalation =
+      escalationLevel > 1 ? ` (ESCALATION L${escalationLevel})` : "";
+
+    return `${
+      ALERT_ICONS[alertType] || "📧"
+    } ${storeName} - ${alertType.toUpperCase()} Alert${escalation}`;
+  }
+
+  // Create email body
+  createEmailBody(
+    storeId,
+    alertType,
+    message,
+    severity,
+    storeData,
+    storeInfo,
+    ackLinks = []
+  ) {
+    if (storeData?.mass_outage) {
+      return this.createMassOutageEmailBody(
+        alertType,
+        message,
+        storeData.mass_outage
+      );
+    }
+
+    const colors = {
+      low: "#28a745",
+      medium: "#17a2b8",
+      high: "#fd7e14",
+      critical: "#dc3545",
+    };
+
+    const color = colors[severity];
+    const storeName = storeInfo?.store_name || `Store ${storeId}`;
+    const location = storeInfo?.location || "Unknown";
+    const isGoodNews = INFORMATIONAL_ALERT_TYPES.includes(alertType);
+    const alertSettings = this.getAlertSettings(storeId);
+
+    return `
+      <html>
+      <body style="font-family: Arial, sans-serif; margin: 20px;">
+        <div style="background-color: ${color}; color: white; padding: 20px; border-radius: 8px;">
+          <h2>🏪 Store Alert: ${storeName}</h2>
+          <h3>Status: ${alertType.toUpperCase()}</h3>
+        </div>
+        
+        <div style="margin: 20px 0;">
+          <table style="width: 100%; border-collapse: collapse;">
+            <tr>
+              <td style="padding: 10px; border: 1px solid #ddd; font-weight: bold; background: #f9f9f9;">Store ID:</td>
+              <td style="padding: 10px; border: 1px solid #ddd;">${storeId}</td>
+            </tr>
+            <tr>
+              <td style="padding: 10px; border: 1px solid #ddd; font-weight: bold; background: #f9f9f9;">Store Name:</td>
+              <td style="padding: 10px; border: 1px solid #ddd;">${storeName}</td>
+            </tr>
+            <tr>
+              <td style="padding: 10px; border: 1px solid #ddd; font-weight: bold; background: #f9f9f9;">Location:</td>
+              <td style="padding: 10px; border: 1px solid #ddd;">${location}</td>
+            </tr>
+            <tr>
+              <td style="padding: 10px; border: 1px solid #ddd; font-weight: bold; background: #f9f9f9;">Alert Type:</td>
+              <td style="padding: 10px; border: 1px solid #ddd; color: ${color}; font-weight: bold;">${alertType.toUpperCase()}</td>
+            </tr>
+            <tr>
+              <td style="padding: 10px; border: 1px solid #ddd; font-weight: bold; background: #f9f9f9;">Message:</td>
+              <td style="padding: 10px; border: 1px solid #ddd;">${message}</td>
+            </tr>
+            <tr>
+              <td style="padding: 10px; border: 1px solid #ddd; font-weight: bold; background: #f9f9f9;">Time:</td>
+              <td style="padding: 10px; border: 1px solid #ddd;">${new Date().toLocaleString()}</td>
+            </tr>
+          </table>
+        </div>
+        
+        ${
+          storeData && storeData.system_stats
+            ? this.createSystemInfoSection(storeData)
+            : ""
+        }
+        
+        <div style="margin-top: 20px; padding: 15px; background: ${
+          isGoodNews ? "#d4edda" : "#f8d7da"
+        }; border-radius: 5px;">
+          <h4 style="color: ${isGoodNews ? "#155724" : "#721c24"}; margin: 0;">
+            ${isGoodNews ? "✅ Good News!" : "🚨 Action Required!"}
+          </h4>
+          <p style="color: ${
+            isGoodNews ? "#155724" : "#721c24"
+          }; margin: 5px 0 0 0;">
+            ${
+              isGoodNews
+                ? "Store system is operational and monitoring resumed."
+                : alertType === "offline"
+                ? `Please check the store system immediately. This alert repeats every ${alertSettings.offline_alert_cooldown_minutes} minutes until resolved or acknowledged.`
+                : "Please check the store system as soon as possible."
+            }
+          </p>
+        </div>
+        
+        ${ackLinks.length > 0 ? this.createAckSection(ackLinks) : ""}
+        
+        <div style="margin-top: 20px; padding: 15px; background: #f8f9fa; border-radius: 5px;">
+          <p><strong>🏭 Centralized Store Monitoring System</strong></p>
+          <p>Total Stores Monitored: ${
+            this.allStores.size
+          } | Alert Threshold: ${alertSettings.alert_threshold_minutes}min</p>
+        </div>
+      </body>
+      </html>
+    `;
+  }
+
+  // Create mass outage email body - one row per affected store
+  createMassOutageEmailBody(alertType, message, outage) {
+    const cell = "padding: 8px; border: 1px solid #ddd;";
+    const header = `${cell} font-weight: bold; background: #f9f9f9;`;
+    const isGoodNews = INFORMATIONAL_ALERT_TYPES.includes(alertType);
+    const color = isGoodNews ? "#17a2b8" : "#dc3545";
+
+    const storeRows = outage.stores
+      .map(
+        (store) => `
+          <tr>
+            <td style="${cell}">${escapeHtml(store.store_name)} (${escapeHtml(
+          store.store_id
+        )})</td>
+            <td style="${cell} color: ${
+          store.status === "online" ? "#28a745" : "#dc3545"
+        }; font-weight: bold;">${store.status.toUpperCase()}</td>
+            <td style="${cell}">${
+          store.last_heartbeat
+            ? new Date(store.last_heartbeat).toLocaleString()
+            : "-"
+        }</td>
+          </tr>`
+      )
+      .join("");
+
+    return `
+      <html>
+      <body style="font-family: Arial, sans-serif; margin: 20px;">
+        <div style="background-color: ${color}; color: white; padding: 20px; border-radius: 8px;">
+          <h2>🌐 Mass Outage: ${escapeHtml(outage.scope_name)}</h2>
+          <h3>Status: ${isGoodNews ? "OVER" : "ONGOING"} - ${
+      outage.stores.length
+    } stores affected</h3>
+        </div>
+
+        <div style="margin: 20px 0;">
+          <p>${escapeHtml(message)}</p>
+          <p>Started: ${new Date(outage.started_at).toLocaleString()}</p>
+        </div>
+
+        <div style="margin: 20px 0;">
+          <table style="width: 100%; border-collapse: collapse;">
+            <tr>
+              <td style="${header}">Store</td>
+              <td style="${header}">Status</td>
+              <td style="${header}">Last Heartbeat</td>
+            </tr>
+            ${storeRows}
+          </table>
+        </div>
+
+        <div style="margin-top: 20px; padding: 15px; background: ${
+          isGoodNews ? "#d4edda" : "#f8d7da"
+        }; border-radius: 5px;">
+          <p style="color: ${isGoodNews ? "#155724" : "#721c24"}; margin: 0;">
+            ${
+              isGoodNews
+                ? "Monitoring is back to normal for these stores."
+                : "This usually means a shared network, ISP or monitoring server problem rather than the stores themselves. You'll get one email when the outage is over."
+            }
+          </p>
+        </div>
+
+        <div style="margin-top: 20px; padding: 15px; background: #f8f9fa; border-radius: 5px;">
+          <p><strong>🏭 Centralized Store Monitoring System</strong></p>
+          <p>Total Stores Monitored: ${this.allStores.size}</p>
+        </div>
+      </body>
+      </html>
+    `;
+  }
+
+  // Create acknowledge section for offline emails - one link per recipient
+  // so we know who picked the incident up
+  createAckSection(ackLinks) {
+    return `
+      <div style="margin-top: 20px; padding: 15px; border: 1px solid #ddd; border-radius: 5px;">
+        <h4 style="margin: 0 0 10px 0;">🙋 Working on it?</h4>
+        <p style="margin: 0 0 10px 0;">Acknowledge this incident to stop the repeat emails:</p>
+        ${ackLinks
+          .map(
+            (link) =>
+              `<p style="margin: 5px 0;"><a href="${
+                link.url
+              }" style="color: #0d6efd;">Acknowledge as ${escapeHtml(
+                link.recipient
+              )}</a></p>`
+          )
+          .join("")}
+      </div>
+    `;
+  }
+
+  // Create system info section for emails
+  createSystemInfoSection(storeData) {
+    const sys = storeData.system_stats || {};
+    const cam = storeData.camera_status || {};
+
+    return `
+      <div style="margin: 20px 0;">
+        <h3>📊 System Information:</h3>
+        <table style="width: 100%; border-collapse: collapse;">
+          <tr>
+            <td style="padding: 8px; border: 1px solid #ddd; font-weight: bold; background: #f9f9f9;">CPU Usage:</td>
+            <td style="padding: 8px; border: 1px solid #ddd;">${
+              sys.cpu_usage_percent || "Unknown"
+            }%</td>
+          </tr>
+          <tr>
+            <td style="padding: 8px; border: 1px solid #ddd; font-weight: bold; background: #f9f9f9;">Memory Usage:</td>
+            <td style="padding: 8px; border: 1px solid #ddd;">${
+              sys.memory_usage_percent || "Unknown"
+            }%</td>
+          </tr>
+          <tr>
+            <td style="padding: 8px; border: 1px solid #ddd; font-weight: bold; background: #f9f9f9;">Disk Free:</td>
+            <td style="padding: 8px; border: 1px solid #ddd;">${
+              sys.disk_free_gb || "Unknown"
+            } GB</td>
+          </tr>
+          <tr>
+            <td style="padding: 8px; border: 1px solid #ddd; font-weight: bold; background: #f9f9f9;">Network:</td>
+            <td style="padding: 8px; border: 1px solid #ddd;">${
+              sys.network_connected ? "✅ Connected" : "❌ Disconnected"
+            }</td>
+          </tr>
+          <tr>
+            <td style="padding: 8px; border: 1px solid #ddd; font-weight: bold; background: #f9f9f9;">Cameras:</td>
+            <td style="padding: 8px; border: 1px solid #ddd;">${
+              cam.active_cameras || 0
+            } / ${cam.total_cameras || 0} active</td>
+          </tr>
+        </table>
+      </div>
+    `;
+  }
+
+  // Start health monitoring
+  startHealthMonitoring() {
+    // Run health check every X minutes
+    cron.schedule(`*/${this.healthCheckIntervalMinutes} * * * *`, () => {
+      this.performHealthCheck();
+    });
+
+    // Work through the notification queue, including anything left over
+    // from before a restart
+    cron.schedule("*/15 * * * * *", () => {
+      this.processNotificationQueue();
+    });
+
+    // Fleet summary reports
+    for (const [period, schedule] of [
+      ["daily", this.dailyReportCron],
+      ["weekly", this.weeklyReportCron],
+    ]) {
+      if (schedule === "off") continue;
+      if (!cron.validate(schedule)) {
+        console.warn(`⚠️ Invalid ${period} report schedule: ${schedule}`);
+        continue;
+      }
+      cron.schedule(schedule, () => {
+        this.sendFleetReport(period).catch((error) => {
+          console.error(`❌ ${period} fleet report failed: ${error.message}`);
+        });
+      });
+      console.log(`📊 ${period} fleet report scheduled (${schedule})`);
+    }
+
+    // Roll up and delete old raw heartbeat data
+    if (this.retentionCron !== "off") {
+      if (cron.validate(this.retentionCron)) {
+        cron.schedule(this.retentionCron, () => {
+          this.runDataRetention().catch((error) => {
+            console.error(`❌ Data retention failed: ${error.message}`);
+          });
+        });
+        console.log(
+          `🧹 Data retention scheduled (${this.retentionCron}, raw data kept ${this.rawRetentionDays} days)`
+        );
+      } else {
+        console.warn(`⚠️ Invalid retention schedule: ${this.retentionCron}`);
+      }
+    }
+
+    // Forecast when store disks fill up
+    if (this.diskForecastCron !== "off") {
+      if (cron.validate(this.diskForecastCron)) {
+        cron.schedule(this.diskForecastCron, () => {
+          this.runDiskForecasts().catch((error) => {
+            console.error(`❌ Disk forecasts failed: ${error.message}`);
+          });
+        });
+        console.log(
+          `💽 Disk forecasts scheduled (${this.diskForecastCron}, alerting ${this.diskForecastHorizonDays} days ahead)`
+        );
+      } else {
+        console.warn(
+          `⚠️ Invalid disk forecast schedule: ${this.diskForecastCron}`
+        );
+      }
+    }
+
+    console.log(
+      `🚀 Health monitoring started (every ${this.healthCheckIntervalMinutes} minutes)`
+    );
+  }
+
+  // Smallest standard bucket that keeps a range under MAX_METRIC_POINTS
+  pickMetricBucket(from, to) {
+    const rangeSeconds = (to - from) / 1000;
+    return (
+      METRIC_BUCKET_SIZES.find(
+        (size) => rangeSeconds / size <= MAX_METRIC_POINTS
+      ) || METRIC_BUCKET_SIZES[METRIC_BUCKET_SIZES.length - 1]
+    );
+  }
+
+  // min/avg/max of one metric per time bucket. Buckets are aligned to
+  // multiples of the bucket size, and empty buckets are left out. Data older
+  // than the raw retention comes from the hourly rollups, or the daily ones
+  // for day-sized buckets and anything past the hourly retention.
+  async getMetricSeries(storeId, metric, from, to, bucketSeconds) {
+    const { table, column } = HISTORY_METRICS[metric];
+    const bucketMs = bucketSeconds * 1000;
+    const alignedFrom = new Date(Math.floor(from / bucketMs) * bucketMs);
+
+    // Everything before the oldest raw row has been rolled up
+    const [[{ oldest }]] = await this.db.execute(
+      `SELECT MIN(timestamp) AS oldest FROM ${table} WHERE store_id = ?`,
+      [storeId]
+    );
+    const rawFrom = oldest ? new Date(oldest) : to;
+    const hourlyFrom = new Date(
+      Date.now() - this.hourlyRollupRetentionDays * DAY_MS
+    );
+    hourlyFrom.setHours(24, 0, 0, 0);
+
+    // Bucket index relative to alignedFrom, so the result doesn't depend on
+    // the MySQL session time zone
+    const rows = [];
+    if (to > rawFrom) {
+      const [rawRows] = await this.db.execute(
+        `SELECT FLOOR(TIMESTAMPDIFF(SECOND, ?, timestamp) / ?) AS bucket,
+           MIN(${column}) AS min_value,
+           AVG(${column}) AS avg_value,
+           MAX(${column}) AS max_value,
+           COUNT(${column}) AS samples
+         FROM ${table}
+         WHERE store_id = ? AND timestamp >= ? AND timestamp < ?
+           AND ${column} IS NOT NULL
+         GROUP BY bucket`,
+        [
+          alignedFrom,
+          bucketSeconds,
+          storeId,
+          from > rawFrom ? from : rawFrom,
+          to,
+        ]
+      );
+      rows.push(...rawRows);
+    }
+
+    if (from < rawFrom) {
+      const rollupTo = rawFrom < to ? rawFrom : to;
+      const segments =
+        bucketSeconds < 86400 && rollupTo > hourlyFrom
+          ? [
+              ["hourly", from > hourlyFrom ? from : hourlyFrom, rollupTo],
+              ["daily", from, hourlyFrom],
+            ]
+          : [["daily", from, rollupTo]];
+
+      for (const [granularity, segmentFrom, segmentTo] of segments) {
+        if (segmentFrom >= segmentTo) continue;
+
+        // Include the rollup bucket that segmentFrom falls in
+        const bucketStart = new Date(segmentFrom);
+        if (granularity === "daily") bucketStart.setHours(0, 0, 0, 0);
+        else bucketStart.setMinutes(0, 0, 0);
+
+        const [rollupRows] = await this.db.execute(
+          `SELECT GREATEST(FLOOR(TIMESTAMPDIFF(SECOND, ?, bucket_start) / ?), 0) AS bucket,
+             MIN(min_value) AS min_value,
+             SUM(avg_value * samples) / SUM(samples) AS avg_value,
+             MAX(max_value) AS max_value,
+             SUM(samples) AS samples
+           FROM metric_rollups_${granularity}
+           WHERE store_id = ? AND metric = ? AND bucket_start >= ? AND bucket_start < ?
+           GROUP BY bucket`,
+          [alignedFrom, bucketSeconds, storeId, metric, bucketStart, segmentTo]
+        );
+        rows.push(...rollupRows);
+      }
+    }
+
+    // A bucket can get rows from more than one source around the boundaries
+    const buckets = new Map();
+    for (const row of rows) {
+      const bucket = Number(row.bucket);
+      const samples = Number(row.samples);
+      const existing = buckets.get(bucket);
+
+      if (!existing) {
+        buckets.set(bucket, {
+          min: Number(row.min_value),
+          sum: Number(row.avg_value) * samples,
+          max: Number(row.max_value),
+          samples,
+        });
+        continue;
+      }
+      existing.min = Math.min(existing.min, Number(row.min_value));
+      existing.max = Math.max(existing.max, Number(row.max_value));
+      existing.sum += Number(row.avg_value) * samples;
+      existing.samples += samples;
+    }
+
+    const round = (value) => Math.round(value * 100) / 100;
+
+    return [...buckets.entries()]
+      .sort(([a], [b]) => a - b)
+      .map(([bucket, values]) => ({
+        timestamp: new Date(
+          alignedFrom.getTime() + bucket * bucketMs
+        ).toISOString(),
+        min: round(values.min),
+        avg: round(values.sum / values.samples),
+        max: round(values.max),
+        samples: values.samples,
+      }));
+  }
+
+  // Fit a line through the store's hourly disk averages and work out when
+  // the disk runs out: disk_free_gb reaching 0 GB or disk_usage reaching
+  // 100%, whichever comes first
+  async forecastDiskExhaustion(storeId, now = new Date()) {
+    const from = new Date(now - this.diskForecastLookbackDays * DAY_MS);
+    const round = (value) => Math.round(value * 100) / 100;
+    const forecast = {
+      generated_at: now.toISOString(),
+      lookback_days: this.diskForecastLookbackDays,
+      horizon_days: this.diskForecastHorizonDays,
+      disk_free_gb: null,
+      disk_usage_percent: null,
+      basis: null,
+      full_at: null,
+      days_until_full: null,
+      within_horizon: false,
+    };
+
+    for (const [metric, key, limit] of [
+      ["disk_free_gb", "disk_free_gb", 0],
+      ["disk_usage", "disk_usage_percent", 100],
+    ]) {
+      const series = await this.getMetricSeries(
+        storeId,
+        metric,
+        from,
+        now,
+        3600
+      );
+      if (series.length < MIN_FORECAST_SAMPLES) continue;
+
+      // x is in days from now, so the intercept is today's fitted value
+      const { slope, intercept } = fitLinearTrend(
+        series.map((point) => [
+          (new Date(point.timestamp) - now) / DAY_MS,
+          point.avg,
+        ])
+      );
+      const heading = limit === 0 ? slope < 0 : slope > 0;
+      const daysLeft = heading
+        ? Math.max((limit - intercept) / slope, 0)
+        : null;
+
+      forecast[key] = {
+        current: round(intercept),
+        change_per_day: round(slope),
+        samples: series.length,
+        full_at:
+          daysLeft === null
+            ? null
+            : new Date(now.getTime() + daysLeft * DAY_MS).toISOString(),
+      };
+
+      if (
+        daysLeft !== null &&
+        (forecast.days_until_full === null ||
+          daysLeft < forecast.days_until_full)
+      ) {
+        forecast.basis = key;
+        forecast.full_at = forecast[key].full_at;
+        forecast.days_until_full = daysLeft;
+      }
+    }
+
+    if (forecast.days_until_full !== null) {
+      forecast.within_horizon =
+        forecast.days_until_full <= this.diskForecastHorizonDays;
+      forecast.days_until_full = Math.round(forecast.days_until_full * 10) / 10;
+    }
+
+    this.diskForecasts.set(storeId, forecast);
+    return forecast;
+  }
+
+  // The store's forecast from the last hour, or a new one
+  async getDiskForecast(storeId) {
+    const cached = this.diskForecasts.get(storeId);
+    if (cached && Date.now() - new Date(cached.generated_at) < 60 * 60 * 1000) {
+      return cached;
+    }
+    return this.forecastDiskExhaustion(storeId);
+  }
+
+  // Forecast every store and alert on those due to fill up within the
+  // horizon. The alert stays open, and isn't repeated, until the forecast
+  // moves back out of the horizon.
+  async runDiskForecasts() {
+    console.log(`💽 Forecasting disk usage for ${this.allStores.size} stores`);
+    const [openAlerts] = await this.db.execute(
+      `SELECT DISTINCT store_id FROM alerts
+       WHERE alert_type = 'system_warning' AND alert_key = 'disk_forecast'
+         AND resolved = FALSE`
+    );
+    const alerted = new Set(openAlerts.map((row) => row.store_id));
+    let alertsSent = 0;
+
+    for (const [storeId, store] of this.allStores) {
+      try {
+        const forecast = await this.forecastDiskExhaustion(storeId);
+
+        if (!forecast.within_horizon) {
+          if (alerted.has(storeId)) {
+            await this.resolveAlerts(
+              storeId,
+              "system_warning",
+              "disk_forecast"
+            );
+          }
+          continue;
+        }
+        if (alerted.has(storeId)) continue;
+
+        const trend = forecast[forecast.basis];
+        await this.sendAlert(
+          storeId,
+          "system_warning",
+          `Disk on store ${
+            store.store_name
+          } (${storeId}) is forecast to be full in ${
+            forecast.days_until_full
+          } days (around ${new Date(forecast.full_at).toLocaleString()}). ${
+            forecast.basis === "disk_free_gb"
+              ? `Free space is ${
+                  trend.current
+                } GB and falling by ${-trend.change_per_day} GB a day.`
+              : `Disk usage is ${trend.current}% and rising by ${trend.change_per_day}% a day.`
+          }`,
+          forecast.days_until_full <= 1 ? "critical" : "high",
+          null,
+          { alertKey: "disk_forecast" }
+        );
+        alertsSent++;
+      } catch (error) {
+        console.error(
+          `❌ Disk forecast for store ${storeId} failed: ${error.message}`
+        );
+      }
+    }
+
+    console.log(`💽 Disk forecasts done - ${alertsSent} alerts sent`);
+    return alertsSent;
+  }
+
+  // Maintenance time per store between from and to, for leaving it out of
+  // uptime figures. A cancelled window still counts up to its cancellation.
+  async getMaintenanceIntervals(from, to) {
+    const [rows] = await this.db.execute(
+      `SELECT * FROM maintenance_windows
+       WHERE starts_at < ? AND (ends_at IS NULL OR ends_at > ?)
+         AND (cancelled = FALSE OR cancelled_at > ?)`,
+      [to, from, from]
+    );
+
+    const intervalsByStore = new Map();
+    for (const row of rows) {
+      const window = this.normalizeMaintenanceWindow(row);
+      const until =
+        window.cancelled && window.cancelled_at < to ? window.cancelled_at : to;
+
+      for (const occurrence of this.getMaintenanceOccurrences(
+        window,
+        from,
+        until
+      )) {
+        const interval = {
+          start: occurrence.start,
+          end:
+            occurrence.end && occurrence.end < until ? occurrence.end : until,
+        };
+
+        for (const storeId of window.store_ids) {
+          if (!intervalsByStore.has(storeId)) intervalsByStore.set(storeId, []);
+          intervalsByStore.get(storeId).push(interval);
+        }
+      }
+    }
+
+    return intervalsByStore;
+  }
+
+  // Uptime and outages per store between from and to, rebuilt from gaps in
+  // heartbeat_history longer than each store's alert threshold. Maintenance
+  // time can be left out so planned work doesn't count against a store.
+  async getFleetAvailability(
+    from,
+    to,
+    storeId = null,
+    { excludeMaintenance = false } = {}
+  ) {
+    const storeFilter = storeId ? "AND store_id = ?" : "";
+    const storeParams = storeId ? [storeId] : [];
+
+    // Gaps are fetched down to the lowest threshold in use and then checked
+    // against each store's own
+    const thresholdMinutesOf = (id) =>
+      this.getAlertSettings(id).alert_threshold_minutes;
+    const minThresholdMinutes = storeId
+      ? thresholdMinutesOf(storeId)
+      : Math.min(
+          this.alertThresholdMinutes,
+          ...[...this.allStores.keys()].map(thresholdMinutesOf)
+        );
+
+    const [gaps] = await this.db.execute(
+      `SELECT store_id, prev_timestamp AS gap_start, timestamp AS gap_end
+       FROM (
+         SELECT store_id, timestamp,
+           LAG(timestamp) OVER (PARTITION BY store_id ORDER BY timestamp) AS prev_timestamp
+         FROM heartbeat_history
+         WHERE timestamp >= ? AND timestamp < ? ${storeFilter}
+       ) h
+       WHERE TIMESTAMPDIFF(SECOND, prev_timestamp, timestamp) > ?`,
+      [from, to, ...storeParams, minThresholdMinutes * 60]
+    );
+
+    const [ranges] = await this.db.execute(
+      `SELECT store_id, MIN(timestamp) AS first_heartbeat, MAX(timestamp) AS last_heartbeat
+       FROM heartbeat_history
+       WHERE timestamp >= ? AND timestamp < ? ${storeFilter}
+       GROUP BY store_id`,
+      [from, to, ...storeParams]
+    );
+
+    const dayBefore = new Date(from.getTime() - 24 * 60 * 60 * 1000);
+    const [before] = await this.db.execute(
+      `SELECT store_id, MAX(timestamp) AS last_before
+       FROM heartbeat_history
+       WHERE timestamp >= ? AND timestamp < ? ${storeFilter}
+       GROUP BY store_id`,
+      [dayBefore, from, ...storeParams]
+    );
+
+    // Older heartbeats only survive as daily rollups and archived gaps
+    const [rollups] = await this.db.execute(
+      `SELECT store_id, first_at, last_at
+       FROM metric_rollups_daily
+       WHERE metric = 'heartbeats' AND first_at < ? AND last_at >= ? ${storeFilter}`,
+      [to, dayBefore, ...storeParams]
+    );
+
+    const [archivedGaps] = await this.db.execute(
+      `SELECT store_id, gap_start,
+         COALESCE(gap_end, (
+           SELECT MIN(h.timestamp) FROM heartbeat_history h
+           WHERE h.store_id = g.store_id AND h.timestamp > g.gap_start
+         ), ?) AS gap_end
+       FROM heartbeat_gaps g
+       WHERE gap_start < ? AND (gap_end IS NULL OR gap_end > ?) ${storeFilter}`,
+      [to, to, from, ...storeParams]
+    );
+
+    const [stores] = await this.db.execute(
+      `SELECT store_id, store_name, created_at FROM stores
+       ${storeId ? "WHERE store_id = ?" : ""}`,
+      storeParams
+    );
+
+    const firstByStore = new Map();
+    const lastByStore = new Map();
+    const lastBeforeByStore = new Map();
+    const keepEarliest = (map, key, value) => {
+      if (!map.has(key) || value < map.get(key)) map.set(key, value);
+    };
+    const keepLatest = (map, key, value) => {
+      if (!map.has(key) || value > map.get(key)) map.set(key, value);
+    };
+
+    for (const row of ranges) {
+      keepEarliest(firstByStore, row.store_id, new Date(row.first_heartbeat));
+      keepLatest(lastByStore, row.store_id, new Date(row.last_heartbeat));
+    }
+    for (const row of before) {
+      keepLatest(lastBeforeByStore, row.store_id, new Date(row.last_before));
+    }
+
+    // A rollup day only says when the first and last heartbeats were, so
+    // one straddling `from` is taken as heartbeats right at `from`. Any real
+    // silence in between is in the archived gaps.
+    for (const row of rollups) {
+      const firstAt = new Date(row.first_at);
+      const lastAt = new Date(row.last_at);
+
+      if (lastAt >= from) {
+        keepEarliest(
+          firstByStore,
+          row.store_id,
+          firstAt > from ? firstAt : from
+        );
+        keepLatest(lastByStore, row.store_id, lastAt < to ? lastAt : to);
+      }
+      if (firstAt < from) {
+        keepLatest(
+          lastBeforeByStore,
+          row.store_id,
+          lastAt < from ? lastAt : from
+        );
+      }
+    }
+
+    const allGaps = [...gaps, ...archivedGaps];
+
+    const maintenanceByStore = excludeMaintenance
+      ? await this.getMaintenanceIntervals(from, to)
+      : new Map();
+
+    const results = [];
+    for (const store of stores) {
+      const thresholdMinutes = thresholdMinutesOf(store.store_id);
+      const thresholdMs = thresholdMinutes * 60 * 1000;
+      const availability = computeAvailability({
+        from,
+        to,
+        thresholdMinutes,
+        existedBefore: new Date(store.created_at) < from,
+        lastBefore: lastBeforeByStore.get(store.store_id) || null,
+        firstHeartbeat: firstByStore.get(store.store_id) || null,
+        lastHeartbeat: lastByStore.get(store.store_id) || null,
+        gaps: allGaps
+          .filter(
+            (gap) =>
+              gap.store_id === store.store_id &&
+              new Date(gap.gap_end) - new Date(gap.gap_start) > thresholdMs
+          )
+          .map((gap) => ({
+            start: new Date(gap.gap_start),
+            end: new Date(gap.gap_end),
+          })),
+        excluded: maintenanceByStore.get(store.store_id) || [],
+      });
+
+      if (availability) {
+        results.push({
+          store_id: store.store_id,
+          store_name: store.store_name || `Store ${store.store_id}`,
+          alert_threshold_minutes: thresholdMinutes,
+          ...availability,
+        });
+      }
+    }
+
+    return results.sort((a, b) => a.store_id.localeCompare(b.store_id));
+  }
+
+  // Fleet-wide totals for a set of per-store availability results
+  summarizeAvailability(availability) {
+    const monitoredMinutes = availability.reduce(
+      (total, store) => total + store.monitored_minutes,
+      0
+    );
+    const downtimeMinutes = availability.reduce(
+      (total, store) => total + store.downtime_minutes,
+      0
+    );
+    const incidents = availability.reduce(
+      (total, store) => total + store.outages.length,
+      0
+    );
+
+    return {
+      total_stores: availability.length,
+      uptime_percent:
+        monitoredMinutes > 0
+          ? Math.round(
+              ((monitoredMinutes - downtimeMinutes) / monitoredMinutes) * 10000
+            ) / 100
+          : null,
+      offline_incidents: incidents,
+      downtime_minutes: downtimeMinutes,
+      average_incident_minutes:
+        incidents > 0 ? Math.round(downtimeMinutes / incidents) : 0,
+    };
+  }
+
+  // Summary of the previous day (or 7 days) across all stores
+  async buildFleetReport(period = "daily", now = new Date()) {
+    const to = new Date(now);
+    to.setHours(0, 0, 0, 0);
+    const from = new Date(to);
+    from.setDate(from.getDate() - (period === "weekly" ? 7 : 1));
+
+    const availability = await this.getFleetAvailability(from, to);
+
+    const [cameraRows] = await this.db.execute(
+      `SELECT store_id, SUM(active_cameras) AS active, SUM(total_cameras) AS total
+       FROM heartbeat_history
+       WHERE timestamp >= ? AND timestamp < ?
+       GROUP BY store_id`,
+      [from, to]
+    );
+    const cameraByStore = new Map(cameraRows.map((row) => [row.store_id, row]));
+
+    const [alertRows] = await this.db.execute(
+      `SELECT alert_type, severity, COUNT(*) AS count
+       FROM alerts
+       WHERE timestamp >= ? AND timestamp < ?
+       GROUP BY alert_type, severity`,
+      [from, to]
+    );
+
+    const stores = availability.map((store) => {
+      const cameras = cameraByStore.get(store.store_id);
+      const totalCameraSamples = Number(cameras?.total || 0);
+
+      return {
+        store_id: store.store_id,
+        store_name: store.store_name,
+        uptime_percent: store.uptime_percent,
+        downtime_minutes: store.downtime_minutes,
+        incidents: store.outages.length,
+        longest_incident_minutes: Math.max(
+          0,
+          ...store.outages.map((outage) => outage.duration_minutes)
+        ),
+        camera_availability_percent:
+          totalCameraSamples > 0
+            ? Math.round(
+                (Number(cameras.active) / totalCameraSamples) * 10000
+              ) / 100
+            : null,
+      };
+    });
+
+    const dashboard = this.getDashboardData();
+    const diskRule = this.metricAlertRules.disk_free_gb;
+    const lowDiskThreshold =
+      diskRule?.enabled === false ? null : diskRule?.warn;
+
+    return {
+      period,
+      from: from.toISOString(),
+      to: to.toISOString(),
+      generated_at: new Date().toISOString(),
+      fleet: this.summarizeAvailability(availability),
+      stores,
+      currently_offline: dashboard.stores
+        .filter((store) => store.status === "offline")
+        .map((store) => ({
+          store_id: store.store_id,
+          store_name: store.store_name,
+          last_heartbeat: store.last_heartbeat,
+        })),
+      low_disk: dashboard.stores
+        .filter(
+          (store) =>
+            lowDiskThreshold !== null &&
+            lowDiskThreshold !== undefined &&
+            store.metrics.disk_free_gb !== null &&
+            store.metrics.disk_free_gb !== undefined &&
+            Number(store.metrics.disk_free_gb) <= lowDiskThreshold
+        )
+        .map((store) => ({
+          store_id: store.store_id,
+          store_name: store.store_name,
+          disk_free_gb: store.metrics.disk_free_gb,
+        })),
+      alerts: alertRows,
+    };
+  }
+
+  // Who gets the fleet reports: REPORT_RECIPIENTS, else the "reports"
+  // recipient list, else the "default" one
+  getReportRecipients() {
+    if (process.env.REPORT_RECIPIENTS) {
+      return process.env.REPORT_RECIPIENTS.split(",")
+        .map((email) => email.trim())
+        .filter(Boolean);
+    }
+
+    return (
+      this.storeEmailConfig.get("reports") ||
+      this.storeEmailConfig.get("default") ||
+      []
+    );
+  }
+
+  // Build a fleet report and queue it for the report recipients
+  async sendFleetReport(period = "daily") {
+    try {
+      const report = await this.buildFleetReport(period);
+      const recipients = this.getReportRecipients();
+
+      if (!this.emailEnabled || recipients.length === 0) {
+        console.log(
+          `📊 ${period} fleet report built but not emailed (email disabled or no recipients)`
+        );
+        return { report, queued: false };
+      }
+
+      const payload = {
+        from: this.emailConfig.auth.user,
+        to: recipients.join(", "),
+        subject: `📊 ${
+          period === "weekly" ? "Weekly" : "Daily"
+        } Store Fleet Report - ${new Date(report.from).toLocaleDateString()}${
+          period === "weekly"
+            ? ` to ${new Date(
+                new Date(report.to).getTime() - 1
+              ).toLocaleDateString()}`
+            : ""
+        }`,
+        html: this.createReportEmailBody(report),
+      };
+
+      await this.enqueueNotification(
+        null,
+        null,
+        this.defaultEmailChannel,
+        payload
+      );
+      setImmediate(() => this.processNotificationQueue());
+
+      console.log(
+        `📊 ${period} fleet report queued for: ${recipients.join(", ")}`
+      );
+      return { report, queued: true, recipients };
+    } catch (error) {
+      console.error(
+        `❌ Error sending ${period} fleet report: ${error.message}`
+      );
+      throw error;
+    }
+  }
+
+  // Create fleet report email body
+  createReportEmailBody(report) {
+    const cell = "padding: 8px; border: 1px solid #ddd;";
+    const header = `${cell} font-weight: bold; background: #f9f9f9;`;
+    const uptimeColor = (uptime) =>
+      uptime === null
+        ? "#6c757d"
+        : uptime >= 99
+        ? "#28a745"
+        : uptime >= 95
+        ? "#fd7e14"
+        : "#dc3545";
+
+    const storeRows = report.stores
+      .slice()
+      .sort((a, b) => a.uptime_percent - b.uptime_percent)
+      .map(
+        (store) => `
+          <tr>
+            <td style="${cell}">${escapeHtml(store.store_name)} (${escapeHtml(
+          store.store_id
+        )})</td>
+            <td style="${cell} color: ${uptimeColor(
+          store.uptime_percent
+        )}; font-weight: bold;">${store.uptime_percent}%</td>
+            <td style="${cell}">${store.incidents}</td>
+            <td style="${cell}">${this.formatDuration(
+          store.downtime_minutes * 60 * 1000
+        )}</td>
+            <td style="${cell}">${this.formatDuration(
+          store.longest_incident_minutes * 60 * 1000
+        )}</td>
+            <td style="${cell}">${
+          store.camera_availability_percent === null
+            ? "-"
+            : `${store.camera_availability_percent}%`
+        }</td>
+          </tr>`
+      )
+      .join("");
+
+    const listSection = (title, items, describe) =>
+      items.length === 0
+        ? ""
+        : `
+        <div style="margin: 20px 0;">
+          <h3>${title}</h3>
+          <ul>${items.map((item) => `<li>${describe(item)}</li>`).join("")}</ul>
+        </div>`;
+
+    return `
+      <html>
+      <body style="font-family: Arial, sans-serif; margin: 20px;">
+        <div style="background-color: #17a2b8; color: white; padding: 20px; border-radius: 8px;">
+          <h2>📊 ${
+            report.period === "weekly" ? "Weekly" : "Daily"
+          } Store Fleet Report</h2>
+          <h3>${new Date(report.from).toLocaleString()} - ${new Date(
+      report.to
+    ).toLocaleString()}</h3>
+        </div>
+
+        <div style="margin: 20px 0;">
+          <table style="width: 100%; border-collapse: collapse;">
+            <tr><td style="${header}">Stores:</td><td style="${cell}">${
+      report.fleet.total_stores
+    }</td></tr>
+            <tr><td style="${header}">Fleet uptime:</td><td style="${cell} color: ${uptimeColor(
+      report.fleet.uptime_percent
+    )}; font-weight: bold;">${
+      report.fleet.uptime_percent === null
+        ? "-"
+        : `${report.fleet.uptime_percent}%`
+    }</td></tr>
+            <tr><td style="${header}">Offline incidents:</td><td style="${cell}">${
+      report.fleet.offline_incidents
+    }</td></tr>
+            <tr><td style="${header}">Total downtime:</td><td style="${cell}">${this.formatDuration(
+      report.fleet.downtime_minutes * 60 * 1000
+    )}</td></tr>
+            <tr><td style="${header}">Average incident:</td><td style="${cell}">${this.formatDuration(
+      report.fleet.average_incident_minutes * 60 * 1000
+    )}</td></tr>
+          </table>
+        </div>
+
+        ${listSection(
+          "🔴 Currently offline",
+          report.currently_offline,
+          (store) =>
+            `${escapeHtml(store.store_name)} (${escapeHtml(
+              store.store_id
+            )}) - last seen ${
+              store.last_heartbeat
+                ? new Date(store.last_heartbeat).toLocaleString()
+                : "never"
+            }`
+        )}
+
+        ${listSection(
+          "💾 Low disk space",
+          report.low_disk,
+          (store) =>
+            `${escapeHtml(store.store_name)} (${escapeHtml(
+              store.store_id
+            )}) - ${store.disk_free_gb} GB free`
+        )}
+
+        <div style="margin: 20px 0;">
+          <h3>🏪 Stores</h3>
+          <table style="width: 100%; border-collapse: collapse;">
+            <tr>
+              <td style="${header}">Store</td>
+              <td style="${header}">Uptime</td>
+              <td style="${header}">Incidents</td>
+              <td style="${header}">Downtime</td>
+              <td style="${header}">Longest</td>
+              <td style="${header}">Cameras</td>
+            </tr>
+            ${storeRows}
+          </table>
+        </div>
+
+        <div style="margin-top: 20px; padding: 15px; background: #f8f9fa; border-radius: 5px;">
+          <p><strong>🏭 Centralized Store Monitoring System</strong></p>
+          <p>Alerts raised: ${report.alerts.reduce(
+            (total, row) => total + Number(row.count),
+            0
+          )} | Alert Threshold: ${this.alertThresholdMinutes}min</p>
+        </div>
+      </body>
+      </html>
+    `;
+  }
+
+  // Format duration
+  formatDuration(durationMs) {
+    const minutes = Math.floor(durationMs / (1000 * 60));
+    const hours = Math.floor(minutes / 60);
+    const remainingMinutes = minutes % 60;
+
+    if (hours > 0) {
+      return `${hours}h ${remainingMinutes}m`;
+    }
+    return `${minutes}m`;
+  }
+
+  // Fold raw rows from before the cutoff into the hourly and daily rollups.
+  // Rows are merged into existing buckets, since a buffered heartbeat can
+  // arrive for an hour that was already rolled up.
+  async rollupRawData(connection, table, cutoff) {
+    const sources = Object.entries(HISTORY_METRICS)
+      .filter(([, definition]) => definition.table === table)
+      .map(([metric, { column }]) => ({ metric, column }));
+
+    // Heartbeat counts and first/last times, which uptime needs later
+    if (table === "heartbeat_history") {
+      sources.push({ metric: "heartbeats", column: null });
+    }
+
+    for (const [granularity, bucketExpression] of Object.entries(
+      ROLLUP_BUCKETS
+    )) {
+      for (const { metric, column } of sources) {
+        const value = column || "NULL";
+
+        await connection.execute(
+          `INSERT INTO metric_rollups_${granularity}
+             (store_id, metric, bucket_start, min_value, avg_value, max_value,
+              samples, first_at, last_at)
+           SELECT * FROM (
+             SELECT store_id, ? AS metric, ${bucketExpression} AS bucket_start,
+               MIN(${value}) AS min_value, AVG(${value}) AS avg_value,
+               MAX(${value}) AS max_value, COUNT(*) AS samples,
+               MIN(timestamp) AS first_at, MAX(timestamp) AS last_at
+             FROM ${table}
+             WHERE timestamp < ? ${column ? `AND ${column} IS NOT NULL` : ""}
+             GROUP BY store_id, bucket_start
+           ) AS rolled
+           ON DUPLICATE KEY UPDATE
+             avg_value = (avg_value * samples + VALUES(avg_value) * VALUES(samples))
+               / (samples + VALUES(samples)),
+             min_value = LEAST(min_value, VALUES(min_value)),
+             max_value = GREATEST(max_value, VALUES(max_value)),
+             first_at = LEAST(first_at, VALUES(first_at)),
+             last_at = GREATEST(last_at, VALUES(last_at)),
+             samples = samples + VALUES(samples)`,
+          [metric, cutoff]
+        );
+      }
+    }
+  }
+
+  // Keep the silences between heartbeats that are about to be deleted, so
+  // uptime for that period can still be worked out
+  async archiveHeartbeatGaps(connection, cutoff) {
+    // Gaps left open by an earlier run end at the first heartbeat after them
+    await connection.execute(
+      `UPDATE heartbeat_gaps g
+       SET gap_end = (
+         SELECT MIN(h.timestamp) FROM heartbeat_history h
+         WHERE h.store_id = g.store_id AND h.timestamp > g.gap_start
+       )
+       WHERE g.gap_end IS NULL`
+    );
+    await connection.execute(
+      `DELETE FROM heartbeat_gaps
+       WHERE gap_end IS NOT NULL AND TIMESTAMPDIFF(SECOND, gap_start, gap_end) <= ?`,
+      [this.archivedGapMinSeconds]
+    );
+
+    const [closed] = await connection.execute(
+      `INSERT IGNORE INTO heartbeat_gaps (store_id, gap_start, gap_end)
+       SELECT store_id, prev_timestamp, timestamp
+       FROM (
+         SELECT store_id, timestamp,
+           LAG(timestamp) OVER (PARTITION BY store_id ORDER BY timestamp) AS prev_timestamp
+         FROM heartbeat_history
+       ) h
+       WHERE prev_timestamp < ? AND TIMESTAMPDIFF(SECOND, prev_timestamp, timestamp) > ?`,
+      [cutoff, this.archivedGapMinSeconds]
+    );
+
+    // Stores that have been silent since before the cutoff
+    const [open] = await connection.execute(
+      `INSERT IGNORE INTO heartbeat_gaps (store_id, gap_start)
+       SELECT store_id, MAX(timestamp)
+       FROM heartbeat_history
+       GROUP BY store_id
+       HAVING MAX(timestamp) < ?`,
+      [cutoff]
+    );
+
+    return closed.affectedRows + open.affectedRows;
+  }
+
+  // Roll up raw heartbeat data older than rawRetentionDays, delete it, and
+  // drop hourly rollups past their own retention
+  async runDataRetention(now = new Date()) {
+    if (this.runningDataRetention) return null;
+    this.runningDataRetention = true;
+
+    const cutoff = new Date(now);
+    cutoff.setHours(0, 0, 0, 0);
+    cutoff.setDate(cutoff.getDate() - this.rawRetentionDays);
+
+    const hourlyCutoff = new Date(now);
+    hourlyCutoff.setHours(0, 0, 0, 0);
+    hourlyCutoff.setDate(
+      hourlyCutoff.getDate() - this.hourlyRollupRetentionDays
+    );
+
+    console.log(
+      `🧹 Rolling up and deleting raw data before ${cutoff.toLocaleString()}...`
+    );
+
+    const summary = { cutoff: cutoff.toISOString() };
+    let connection = null;
+
+    try {
+      connection = await this.db.getConnection();
+
+      // Each table is rolled up and pruned in one transaction, so a failed
+      // run doesn't leave rows that would be counted twice next time
+      await connection.beginTransaction();
+      summary.gaps_archived = await this.archiveHeartbeatGaps(
+        connection,
+        cutoff
+      );
+      await this.rollupRawData(connection, "heartbeat_history", cutoff);
+      const [heartbeats] = await connection.execute(
+        "DELETE FROM heartbeat_history WHERE timestamp < ?",
+        [cutoff]
+      );
+      await connection.commit();
+      summary.heartbeat_rows_deleted = heartbeats.affectedRows;
+
+      await connection.beginTransaction();
+      await this.rollupRawData(connection, "system_stats", cutoff);
+      const [stats] = await connection.execute(
+        "DELETE FROM system_stats WHERE timestamp < ?",
+        [cutoff]
+      );
+      await connection.commit();
+      summary.system_stats_rows_deleted = stats.affectedRows;
+
+      await connection.beginTransaction();
+      await this.rollupRawData(connection, "network_speed_history", cutoff);
+      const [speeds] = await connection.execute(
+        "DELETE FROM network_speed_history WHERE timestamp < ?",
+        [cutoff]
+      );
+      await connection.commit();
+      summary.network_speed_rows_deleted = speeds.affectedRows;
+
+      const [hourly] = await connection.execute(
+        "DELETE FROM metric_rollups_hourly WHERE bucket_start < ?",
+        [hourlyCutoff]
+      );
+      summary.hourly_rollups_deleted = hourly.affectedRows;
+
+      console.log(
+        `✅ Data retention done: ${summary.heartbeat_rows_deleted} heartbeats, ${summary.system_stats_rows_deleted} system stats, ${summary.network_speed_rows_deleted} speed tests and ${summary.hourly_rollups_deleted} hourly rollups deleted`
+      );
+      return summary;
+    } catch (error) {
+      if (connection) await connection.rollback();
+      throw error;
+    } finally {
+      // Reset the flag even when no connection could be had, or every
+      // later run would be skipped
+      if (connection) connection.release();
+      this.runningDataRetention = false;
+    }
+  }
+
+  // Get dashboard data for ALL stores, or those matching a filter (see
+  // filterStoreIds). The summary is also broken down per group.
+  getDashboardData(filter = null) {
+    const stores = [];
+    const currentTime = new Date();
+    const storeIds = filter
+      ? this.filterStoreIds(filter)
+      : [...this.allStores.keys()];
+
+    for (const storeId of storeIds) {
+      const store = this.allStores.get(storeId);
+      let minutesSinceHeartbeat = null;
+      let isOnline = false;
+      const maintenance = this.getActiveMaintenance(storeId, currentTime);
+      const alertSettings = this.getAlertSettings(storeId);
+
+      if (store.last_heartbeat) {
+        minutesSinceHeartbeat =
+          (currentTime - store.last_heartbeat) / (1000 * 60);
+        isOnline =
+          minutesSinceHeartbeat <= alertSettings.alert_threshold_minutes;
+      }
+
+      stores.push({
+        store_id: storeId,
+        store_name: store.store_name,
+        location: store.location,
+        region: store.region,
+        groups: this.getStoreGroups(storeId).map((group) => group.name),
+        tags: this.getStoreTags(storeId),
+        status: maintenance
+          ? "maintenance"
+          : store.last_heartbeat
+          ? isOnline
+            ? "online"
+            : "offline"
+          : "unknown",
+        last_heartbeat: store.last_heartbeat
+          ? store.last_heartbeat.toISOString()
+          : null,
+        minutes_since_heartbeat: minutesSinceHeartbeat
+          ? minutesSinceHeartbeat.toFixed(1)
+          : null,
+        first_seen: store.first_seen ? store.first_seen.toISOString() : null,
+        email_recipients: this.getEmailRecipients(storeId),
+        alert_threshold_minutes: alertSettings.alert_threshold_minutes,
+        offline_incident: this.getIncidentInfo(storeId),
+        flapping: this.getFlappingInfo(storeId),
+        maintenance,
+        metrics: store.metrics || {},
+        config: store.config || {},
+      });
+    }
+
+    const countStatuses = (storeList) => ({
+      total_stores: storeList.length,
+      online_stores: storeList.filter((s) => s.status === "online").length,
+      offline_stores: storeList.filter((s) => s.status === "offline").length,
+      unknown_stores: storeList.filter((s) => s.status === "unknown").length,
+      maintenance_stores: storeList.filter((s) => s.status === "maintenance")
+        .length,
+      flapping_stores: storeList.filter((s) => s.flapping).length,
+    });
+
+    return {
+      stores: stores.sort((a, b) => a.store_id.localeCompare(b.store_id)),
+      summary: {
+        ...countStatuses(stores),
+        quarantined_stores: this.quarantinedStoreIds.size,
+        groups: [...this.storeGroups.values()]
+          .map((group) => ({
+            group_id: group.id,
+            name: group.name,
+            group_type: group.group_type,
+            ...countStatuses(
+              stores.filter((store) => group.store_ids.has(store.store_id))
+            ),
+          }))
+          .filter((group) => group.total_stores > 0),
+        last_updated: currentTime.toISOString(),
+      },
+    };
+  }
+
+  incrementCounter(counter, label) {
+    const counts = this.counters[counter];
+    counts.set(label, (counts.get(label) || 0) + 1);
+  }
+
+  // Per-store gauges (from storeMetrics) and the process counters in the
+  // Prometheus text format
+  getPrometheusMetrics() {
+    const now = new Date();
+    const storeSamples = (valueOf) =>
+      [...this.allStores.keys()].map((storeId) => ({
+        labels: { store_id: storeId },
+        value: valueOf(storeId, this.storeMetrics.get(storeId) || {}),
+      }));
+    const counterSamples = (counter, labelName) =>
+      [...this.counters[counter].entries()].map(([label, value]) => ({
+        labels: { [labelName]: label },
+        value,
+      }));
+    const gauge = (name, help, valueOf) => ({
+      name: `store_monitor_${name}`,
+      help,
+      type: "gauge",
+      samples: storeSamples(valueOf),
+    });
+
+    return renderMetrics([
+      {
+        name: "store_monitor_store_info",
+        help: "Registry details of a store (always 1)",
+        type: "gauge",
+        samples: [...this.allStores.entries()].map(([storeId, store]) => ({
+          labels: {
+            store_id: storeId,
+            store_name: store.store_name,
+            region: store.region,
+          },
+          value: 1,
+        })),
+      },
+      gauge(
+        "store_up",
+        "1 if the store's last heartbeat is within its alert threshold",
+        (storeId) => {
+          const store = this.allStores.get(storeId);
+          if (!store.last_heartbeat) return 0;
+          return (now - store.last_heartbeat) / (1000 * 60) <=
+            this.getAlertSettings(storeId).alert_threshold_minutes
+            ? 1
+            : 0;
+        }
+      ),
+      gauge(
+        "store_in_maintenance",
+        "1 while the store is in a maintenance window",
+        (storeId) => (this.getActiveMaintenance(storeId, now) ? 1 : 0)
+      ),
+      gauge(
+        "seconds_since_heartbeat",
+        "Seconds since the store's last heartbeat",
+        (storeId) => {
+          const lastHeartbeat = this.allStores.get(storeId).last_heartbeat;
+          return lastHeartbeat
+            ? Math.round((now - lastHeartbeat) / 1000)
+            : null;
+        }
+      ),
+      gauge(
+        "cpu_usage_percent",
+        "Store CPU usage",
+        (storeId, metrics) => metrics.cpu_usage
+      ),
+      gauge(
+        "memory_usage_percent",
+        "Store memory usage",
+        (storeId, metrics) => metrics.memory_usage
+      ),
+      gauge(
+        "disk_free_gigabytes",
+        "Free disk space on the store system",
+        (storeId, metrics) => metrics.disk_free_gb
+      ),
+      gauge(
+        "cameras_active",
+        "Cameras reporting as active",
+        (storeId, metrics) => metrics.cameras_active
+      ),
+      gauge(
+        "cameras_total",
+        "Cameras configured at the store",
+        (storeId, metrics) => metrics.cameras_total
+      ),
+      gauge(
+        "network_speed_mbps",
+        "Last measured network speed",
+        (storeId, metrics) => metrics.network_speed_mbps
+      ),
+      {
+        name: "store_monitor_heartbeats_received_total",
+        help: "Heartbeats received since the server started",
+        type: "counter",
+        samples: counterSamples("heartbeats", "result"),
+      },
+      {
+        name: "store_monitor_alerts_sent_total",
+        help: "Alerts raised since the server started",
+        type: "counter",
+        samples: counterSamples("alerts", "type"),
+      },
+      {
+        name: "store_monitor_notification_failures_total",
+        help: "Failed notification delivery attempts (email, webhook, ...) since the server started",
+        type: "counter",
+        samples: counterSamples("notificationFailures", "channel"),
+      },
+    ]);
+  }
+
+  // Push an event to the /events/stream clients and keep it for reconnects
+  publishEvent(type, data) {
+    const event = {
+      id: `${this.eventStreamId}-${++this.eventSequence}`,
+      type,
+      data: { ...data, timestamp: data.timestamp || new Date().toISOString() },
+    };
+
+    this.recentEvents.push(event);
+    if (this.recentEvents.length > this.eventBufferSize) {
+      this.recentEvents.shift();
+    }
+
+    for (const client of this.eventClients) {
+      this.writeEvent(client, event);
+    }
+    return event;
+  }
+
+  publishStoreStatus(store, previousStatus) {
+    this.publishEvent("store_status", {
+      store_id: store.store_id,
+      store_name: store.store_name,
+      region: store.region,
+      status: store.status,
+      previous_status: previousStatus,
+      last_heartbeat: store.last_heartbeat
+        ? store.last_heartbeat.toISOString()
+        : null,
+    });
+  }
+
+  // Write an event in SSE format, unless the client only wants another
+  // store's events
+  writeEvent(client, event) {
+    if (
+      client.storeId &&
+      event.data.store_id &&
+      event.data.store_id !== client.storeId
+    ) {
+      return;
+    }
+
+    client.res.write(
+      `id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(
+        event.data
+      )}\n\n`
+    );
+  }
+
+  // The buffered events after lastEventId, or null if the client can't be
+  // caught up that way (no ID, an ID from before a restart, or one that has
+  // already dropped out of the buffer)
+  getEventsSince(lastEventId) {
+    if (!lastEventId) return null;
+
+    const [streamId, sequence] = String(lastEventId).split("-");
+    const seen = Number(sequence);
+    if (
+      streamId !== this.eventStreamId ||
+      !Number.isInteger(seen) ||
+      seen > this.eventSequence ||
+      seen < this.eventSequence - this.recentEvents.length
+    ) {
+      return null;
+    }
+
+    return this.recentEvents.slice(
+      this.recentEvents.length - (this.eventSequence - seen)
+    );
+  }
+
+  // Start streaming to a client. It's sent what it missed since
+  // lastEventId, or a snapshot of the dashboard to start from.
+  addEventClient(res, { lastEventId = null, storeId = null } = {}) {
+    const client = { res, storeId };
+    const missed = this.getEventsSince(lastEventId);
+
+    if (missed) {
+      for (const event of missed) {
+        this.writeEvent(client, event);
+      }
+    } else {
+      const snapshot = this.getDashboardData();
+      if (storeId) {
+        snapshot.stores = snapshot.stores.filter(
+          (store) => store.store_id === storeId
+        );
+      }
+      this.writeEvent(client, {
+        id: `${this.eventStreamId}-${this.eventSequence}`,
+        type: "snapshot",
+        data: snapshot,
+      });
+    }
+
+    this.eventClients.add(client);
+    return client;
+  }
+
+  removeEventClient(client) {
+    this.eventClients.delete(client);
+  }
+
+  // Reload the config files, and the recipient lists from the database
+  async reloadConfigurations() {
+    console.log("🔄 Reloading configuration...");
+    await this.loadEmailConfiguration();
+    this.loadMetricAlertRules();
+    this.loadEscalationConfiguration();
+    this.loadNotificationChannels();
+
+    return {
+      email_configs_loaded: this.storeEmailConfig.size,
+      escalation_configs_loaded: this.escalationConfig.size,
+      notification_channel_configs_loaded: this.notificationChannels.size,
+      metric_alert_rules_loaded: Object.keys(this.metricAlertRules).length,
+    };
+  }
+}
+
+// Initialize the centralized monitoring server
+const centralMonitor = new CentralizedMonitoringServer();
+
+// ============================================================================
+// API ROUTES
+// ============================================================================
+
+// Only let requests through with a token of at least the given role
+function requireRole(role) {
+  return (req, res, next) => {
+    if (!centralMonitor.apiAuthEnabled) return next();
+
+    const authorization = req.get("authorization") || "";
+    let token = authorization.startsWith("Bearer ")
+      ? authorization.slice(7).trim()
+      : null;
+
+    // Tokens in URLs end up in logs and browser history, so they're only
+    // taken for read-only routes (e.g. links and EventSource)
+    if (!token && role === "viewer" && req.method === "GET") {
+      token = req.query.access_token;
+    }
+
+    if (!token) {
+      return res.status(401).json({ error: "Authentication required" });
+    }
+
+    const auth = centralMonitor.authenticateApiToken(token);
+    if (!auth) {
+      return res.status(401).json({ error: "Invalid or expired token" });
+    }
+    if (ROLE_LEVELS[auth.role] < ROLE_LEVELS[role]) {
+      return res.status(403).json({ error: `Requires the ${role} role` });
+    }
+
+    req.auth = auth;
+    next();
+  };
+}
+
+// Reject heartbeats without a usable store_id before anything else looks at
+// them, so a missing one isn't quarantined as "undefined"
+function requireHeartbeatStoreId(req, res, next) {
+  const storeId = req.body?.store_id;
+  if (
+    !(typeof storeId === "string" && storeId.trim()) &&
+    !(typeof storeId === "number" && Number.isFinite(storeId))
+  ) {
+    return res
+      .status(400)
+      .json({ error: "store_id is required (a string or number)" });
+  }
+  next();
+}
+
+// Reject heartbeats that aren't signed with the store's key when they have
+// to be (see HEARTBEAT_AUTH_MODE)
+function requireHeartbeatSignature(req, res, next) {
+  const verification = centralMonitor.verifyHeartbeatRequest(req);
+  if (!verification.valid) {
+    console.warn(
+      `🔒 Rejected heartbeat for store ${
+        req.get(SIGNATURE_HEADERS.storeId) || req.body?.store_id
+      }: ${verification.reason}`
+    );
+    return res.status(401).json({ error: verification.reason });
+  }
+  next();
+}
+
+// Main heartbeat endpoint - receives heartbeats from ALL registered stores
+app.post(
+  "/heartbeat",
+  requireHeartbeatStoreId,
+  requireHeartbeatSignature,
+  async (req, res) => {
+    try {
+      const result = await centralMonitor.processHeartbeat(req.body, req.ip);
+      if (result.status === "quarantined") {
+        return res
+          .status(403)
+          .json({ error: result.message, quarantined: true });
+      }
+      res.json({
+        status: "received",
+        timestamp: new Date().toISOString(),
+        ...result,
+      });
+    } catch (error) {
+      console.error("Heartbeat processing error:", error);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  }
+);
+
+// Buffered heartbeat endpoint
+app.post(
+  "/heartbeat/buffered",
+  requireHeartbeatStoreId,
+  requireHeartbeatSignature,
+  async (req, res) => {
+    try {
+      const result = await centralMonitor.processHeartbeat(req.body, req.ip);
+      if (result.status === "quarantined") {
+        return res
+          .status(403)
+          .json({ error: result.message, quarantined: true });
+      }
+      res.json({
+        status: "received",
+        timestamp: new Date().toISOString(),
+        buffered: true,
+        ...result,
+      });
+    } catch (error) {
+      console.error("Buffered heartbeat error:", error);
+      res.status(500).json({ error: "Internal server error" });
+    }
+  }
+);
+
+// ?group= (ID or name), ?tag= and ?region= filters for store listings.
+// `filter` is null when none were given.
+function parseStoreFilter(query) {
+  const filter = {
+    group: null,
+    tag: query.tag ? String(query.tag).toLowerCase() : null,
+    region: query.region || null,
+  };
+
+  if (query.group) {
+    filter.group = centralMonitor.findStoreGroup(query.group);
+    if (!filter.group) {
+      return { error: "Group not found" };
+    }
+  }
+
+  return {
+    filter: filter.group || filter.tag || filter.region ? filter : null,
+  };
+}
+
+// Validate a store group. With `partial`, only the fields given are checked.
+function parseStoreGroupInput(body = {}, { partial = false } = {}) {
+  const group = {};
+
+  if (!partial || body.name !== undefined) {
+    if (
+      typeof body.name !== "string" ||
+      !body.name.trim() ||
+      body.name.trim().length > 100
+    ) {
+      return { error: "name is required (up to 100 characters)" };
+    }
+    if (/^\d+$/.test(body.name.trim())) {
+      return { error: "name can't be only digits (it would look like an ID)" };
+    }
+    group.name = body.name.trim();
+  }
+
+  if (body.group_type !== undefined) {
+    if (
+      body.group_type !== null &&
+      (typeof body.group_type !== "string" || body.group_type.length > 50)
+    ) {
+      return {
+        error: "group_type must be a string such as brand, city or franchisee",
+      };
+    }
+    group.group_type = body.group_type?.trim() || null;
+  }
+
+  if (body.description !== undefined) {
+    if (body.description !== null && typeof body.description !== "string") {
+      return { error: "description must be a string" };
+    }
+    group.description = body.description || null;
+  }
+
+  if (body.store_ids !== undefined) {
+    if (!Array.isArray(body.store_ids)) {
+      return { error: "store_ids must be an array" };
+    }
+    const unknown = body.store_ids.filter(
+      (storeId) => !centralMonitor.allStores.has(storeId)
+    );
+    if (unknown.length > 0) {
+      return { error: `Unknown store IDs: ${unknown.join(", ")}` };
+    }
+    group.store_ids = [...new Set(body.store_ids)];
+  }
+
+  return { group };
+}
+
+// Validate a list of tags, lower-casing them and dropping duplicates
+function parseTags(tags) {
+  if (!Array.isArray(tags)) {
+    return { error: "tags must be an array" };
+  }
+
+  const parsed = [];
+  for (const tag of tags) {
+    const normalized = typeof tag === "string" ? tag.trim().toLowerCase() : "";
+    if (!/^[a-z0-9][a-z0-9 _:.-]{0,49}$/.test(normalized)) {
+      return {
+        error: `Invalid tag: ${tag} (letters, numbers, space, _ : . -, up to 50 characters)`,
+      };
+    }
+    if (!parsed.includes(normalized)) parsed.push(normalized);
+  }
+  return { tags: parsed };
+}
+
+// Store groups with their members (?group_type=)
+app.get("/groups", requireRole("viewer"), (req, res) => {
+  try {
+    const groups = [...centralMonitor.storeGroups.values()]
+      .filter(
+        (group) =>
+          !req.query.group_type || group.group_type === req.query.group_type
+      )
+      .map((group) => ({
+        ...centralMonitor.describeStoreGroup(group),
+        recipients:
+          centralMonitor.storeEmailConfig.get(`group:${group.id}`) || [],
+      }));
+
+    res.json({ total: groups.length, groups });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post("/groups", requireRole("admin"), async (req, res) => {
+  try {
+    const { group, error } = parseStoreGroupInput(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    if (centralMonitor.findStoreGroup(group.name)) {
+      return res.status(409).json({ error: "A group with that name exists" });
+    }
+
+    const created = await centralMonitor.createStoreGroup(
+      group,
+      req.auth?.name || null
+    );
+    res.status(201).json(centralMonitor.describeStoreGroup(created));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Update a group. store_ids, if given, replaces its members.
+app.put("/groups/:groupId", requireRole("admin"), async (req, res) => {
+  try {
+    const existing = centralMonitor.findStoreGroup(req.params.groupId);
+    if (!existing) {
+      return res.status(404).json({ error: "Group not found" });
+    }
+
+    const { group, error } = parseStoreGroupInput(req.body, { partial: true });
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    const sameName = group.name && centralMonitor.findStoreGroup(group.name);
+    if (sameName && sameName.id !== existing.id) {
+      return res.status(409).json({ error: "A group with that name exists" });
+    }
+
+    const updated = await centralMonitor.updateStoreGroup(existing.id, group);
+    res.json(centralMonitor.describeStoreGroup(updated));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.delete("/groups/:groupId", requireRole("admin"), async (req, res) => {
+  try {
+    const group = centralMonitor.findStoreGroup(req.params.groupId);
+    if (!group) {
+      return res.status(404).json({ error: "Group not found" });
+    }
+
+    await centralMonitor.deleteStoreGroup(group.id);
+    res.json({ status: "Group deleted", group_id: group.id });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Every tag in use, with how many stores have it
+app.get("/tags", requireRole("viewer"), (req, res) => {
+  try {
+    const counts = new Map();
+    for (const tags of centralMonitor.storeTags.values()) {
+      for (const tag of tags) {
+        counts.set(tag, (counts.get(tag) || 0) + 1);
+      }
+    }
+
+    res.json({
+      tags: [...counts.entries()]
+        .sort(([a], [b]) => a.localeCompare(b))
+        .map(([tag, storeCount]) => ({ tag, store_count: storeCount })),
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Replace a store's tags ({ tags: [...] })
+app.put("/stores/:storeId/tags", requireRole("admin"), async (req, res) => {
+  try {
+    const { storeId } = req.params;
+    if (!centralMonitor.allStores.has(storeId)) {
+      return res.status(404).json({ error: "Store not found" });
+    }
+
+    const { tags, error } = parseTags(req.body?.tags);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    await centralMonitor.setStoreTags(storeId, tags);
+    res.json({ store_id: storeId, tags });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Recipient list shared by every store in a group or region. The
+// `resolve` callback turns the route params into the list's scope ID, or
+// null if the group/region doesn't exist.
+function recipientListRoutes(route, resolve) {
+  app.get(route, requireRole("viewer"), (req, res) => {
+    try {
+      const scopeId = resolve(req.params);
+      if (!scopeId) {
+        return res.status(404).json({ error: "Not found" });
+      }
+      res.json({
+        list: scopeId,
+        recipients: centralMonitor.storeEmailConfig.get(scopeId) || [],
+      });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  app.put(route, requireRole("admin"), async (req, res) => {
+    try {
+      const scopeId = resolve(req.params);
+      if (!scopeId) {
+        return res.status(404).json({ error: "Not found" });
+      }
+
+      const { recipients, error } = parseRecipients(req.body?.recipients);
+      if (error) {
+        return res.status(400).json({ error });
+      }
+
+      const previous = await centralMonitor.setRecipients(
+        scopeId,
+        recipients,
+        req.auth?.name || null
+      );
+      res.json({ list: scopeId, recipients, previous_recipients: previous });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  app.delete(route, requireRole("admin"), async (req, res) => {
+    try {
+      const scopeId = resolve(req.params);
+      if (!scopeId) {
+        return res.status(404).json({ error: "Not found" });
+      }
+
+      const deleted = await centralMonitor.deleteRecipients(
+        scopeId,
+        req.auth?.name || null
+      );
+      if (!deleted) {
+        return res.status(404).json({ error: "List is already empty" });
+      }
+      res.json({ status: `Recipients removed from ${scopeId}` });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+}
+
+recipientListRoutes("/groups/:groupId/recipients", ({ groupId }) => {
+  const group = centralMonitor.findStoreGroup(groupId);
+  return group ? `group:${group.id}` : null;
+});
+
+recipientListRoutes("/regions/:region/recipients", ({ region }) =>
+  [...centralMonitor.allStores.values()].some(
+    (store) => store.region === region
+  )
+    ? `region:${region}`
+    : null
+);
+
+// Validate a store registry entry. With `partial`, only the fields given
+// are checked (for updates).
+function parseStoreInput(body = {}, { partial = false } = {}) {
+  const store = {};
+
+  if (!partial) {
+    if (
+      typeof body.store_id !== "string" ||
+      !/^[A-Za-z0-9_-]{1,50}$/.test(body.store_id)
+    ) {
+      return {
+        error:
+          "store_id is required (letters, numbers, - and _, up to 50 characters)",
+      };
+    }
+    store.store_id = body.store_id;
+  }
+
+  if (!partial || body.store_name !== undefined) {
+    if (typeof body.store_name !== "string" || !body.store_name.trim()) {
+      return { error: "store_name is required" };
+    }
+    store.store_name = body.store_name.trim();
+  }
+
+  for (const field of ["address", "region", "contact_person"]) {
+    if (body[field] === undefined) continue;
+    if (body[field] !== null && typeof body[field] !== "string") {
+      return { error: `${field} must be a string` };
+    }
+    store[field] = body[field]?.trim() || null;
+  }
+
+  if (body.contact_phone !== undefined) {
+    if (
+      body.contact_phone !== null &&
+      !/^\+?[0-9 ()-]{5,20}$/.test(String(body.contact_phone))
+    ) {
+      return { error: "contact_phone must be a phone number" };
+    }
+    store.contact_phone = body.contact_phone;
+  }
+
+  if (body.expected_heartbeat_interval_seconds !== undefined) {
+    const interval = parseInt(body.expected_heartbeat_interval_seconds);
+    if (isNaN(interval) || interval < 10 || interval > 86400) {
+      return {
+        error:
+          "expected_heartbeat_interval_seconds must be between 10 and 86400",
+      };
+    }
+    store.expected_heartbeat_interval_seconds = interval;
+  } else if (!partial) {
+    store.expected_heartbeat_interval_seconds = 60;
+  }
+
+  return { store };
+}
+
+// The registry entry of a store as returned by the /stores routes
+function describeStore(storeId, store) {
+  return {
+    store_id: storeId,
+    ...centralMonitor.pickStoreRegistration(store),
+    status: store.status,
+    groups: centralMonitor
+      .getStoreGroups(storeId)
+      .map((group) => ({ id: group.id, name: group.name })),
+    tags: centralMonitor.getStoreTags(storeId),
+    last_heartbeat: store.last_heartbeat
+      ? store.last_heartbeat.toISOString()
+      : null,
+  };
+}
+
+// The store registry (?region=, ?group=, ?tag=)
+app.get("/stores", requireRole("viewer"), (req, res) => {
+  try {
+    const { filter, error } = parseStoreFilter(req.query);
+    if (error) {
+      return res.status(404).json({ error });
+    }
+
+    const stores = centralMonitor
+      .filterStoreIds(filter || {})
+      .map((storeId) =>
+        describeStore(storeId, centralMonitor.allStores.get(storeId))
+      )
+      .sort((a, b) => a.store_id.localeCompare(b.store_id));
+
+    res.json({ total: stores.length, stores });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Heartbeats received from store IDs that aren't registered
+app.get("/stores/quarantine", requireRole("viewer"), async (req, res) => {
+  try {
+    const [heartbeats] = await centralMonitor.db.execute(
+      `SELECT store_id, reported_store_name, source_ip, heartbeat_count,
+         first_seen_at, last_seen_at
+       FROM quarantined_heartbeats
+       ORDER BY last_seen_at DESC`
+    );
+    res.json({ total: heartbeats.length, stores: heartbeats });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Dismiss a quarantined store ID (it shows up again if it keeps sending)
+app.delete(
+  "/stores/quarantine/:storeId",
+  requireRole("admin"),
+  async (req, res) => {
+    try {
+      const { storeId } = req.params;
+      const [result] = await centralMonitor.db.execute(
+        "DELETE FROM quarantined_heartbeats WHERE store_id = ?",
+        [storeId]
+      );
+      centralMonitor.quarantinedStoreIds.delete(storeId);
+
+      if (result.affectedRows === 0) {
+        return res.status(404).json({ error: "Store ID is not quarantined" });
+      }
+      res.json({ status: "Quarantined store dismissed", store_id: storeId });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  }
+);
+
+// Register a store
+app.post("/stores", requireRole("admin"), async (req, res) => {
+  try {
+    const { store, error } = parseStoreInput(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    if (centralMonitor.allStores.has(store.store_id)) {
+      return res.status(409).json({ error: "Store is already registered" });
+    }
+
+    const created = await centralMonitor.createStore(store);
+    res.status(201).json(describeStore(store.store_id, created));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Update a store's registry entry
+app.put("/stores/:storeId", requireRole("admin"), async (req, res) => {
+  try {
+    const { storeId } = req.params;
+    if (!centralMonitor.allStores.has(storeId)) {
+      return res.status(404).json({ error: "Store not found" });
+    }
+
+    const { store, error } = parseStoreInput(req.body, { partial: true });
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const updated = await centralMonitor.updateStore(storeId, store);
+    res.json(describeStore(storeId, updated));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Remove a store, along with all of its history
+app.delete("/stores/:storeId", requireRole("admin"), async (req, res) => {
+  try {
+    const deleted = await centralMonitor.deleteStore(req.params.storeId);
+    if (!deleted) {
+      return res.status(404).json({ error: "Store not found" });
+    }
+    res.json({ status: "Store removed", store_id: req.params.storeId });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// List API tokens (never the tokens themselves)
+app.get("/tokens", requireRole("admin"), async (req, res) => {
+  try {
+    const [tokens] = await centralMonitor.db.execute(
+      `SELECT id, name, role, token_prefix, created_by, created_at, expires_at,
+         revoked_at, last_used_at
+       FROM api_tokens
+       ORDER BY created_at DESC`
+    );
+    res.json({ tokens });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Create an API token (body: { "name", "role", "expires_in_days" }).
+// The token is only ever shown in this response.
+app.post("/tokens", requireRole("admin"), async (req, res) => {
+  try {
+    const { name, role, expires_in_days } = req.body || {};
+
+    if (!name || typeof name !== "string") {
+      return res.status(400).json({ error: "name is required" });
+    }
+    if (!ROLE_LEVELS[role]) {
+      return res.status(400).json({
+        error: `role must be one of: ${Object.keys(ROLE_LEVELS).join(", ")}`,
+      });
+    }
+    if (
+      expires_in_days !== undefined &&
+      expires_in_days !== null &&
+      !(parseInt(expires_in_days) > 0)
+    ) {
+      return res
+        .status(400)
+        .json({ error: "expires_in_days must be a positive number" });
+    }
+
+    const token = await centralMonitor.createApiToken({
+      name: name.trim(),
+      role,
+      expiresInDays: expires_in_days ? parseInt(expires_in_days) : null,
+      createdBy: req.auth?.name || null,
+    });
+    res.status(201).json(token);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Revoke an API token
+app.delete("/tokens/:id", requireRole("admin"), async (req, res) => {
+  try {
+    const tokenId = parseInt(req.params.id);
+    const revoked = await centralMonitor.revokeApiToken(tokenId);
+    if (!revoked) {
+      return res
+        .status(404)
+        .json({ error: "Token not found or already revoked" });
+    }
+    res.json({ status: "Token revoked", id: tokenId });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// List a store's keys (never the secrets)
+app.get(
+  "/stores/:storeId/credentials",
+  requireRole("admin"),
+  async (req, res) => {
+    try {
+      const [keys] = await centralMonitor.db.execute(
+        `SELECT key_id, created_at, expires_at, revoked_at, last_used_at
+       FROM store_credentials
+       WHERE store_id = ?
+       ORDER BY created_at DESC`,
+        [req.params.storeId]
+      );
+
+      const now = new Date();
+      res.json({
+        store_id: req.params.storeId,
+        auth_mode: centralMonitor.heartbeatAuthMode,
+        keys: keys.map((key) => ({
+          ...key,
+          active:
+            !key.revoked_at &&
+            (!key.expires_at || new Date(key.expires_at) > now),
+        })),
+      });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  }
+);
+
+// Issue a new key for a store, rotating out the old ones
+// (body: { "grace_minutes": 60 }). The secret is only ever shown here.
+app.post(
+  "/stores/:storeId/credentials",
+  requireRole("admin"),
+  async (req, res) => {
+    try {
+      const graceMinutes =
+        req.body?.grace_minutes === undefined
+          ? centralMonitor.keyRotationGraceMinutes
+          : parseInt(req.body.grace_minutes);
+
+      if (isNaN(graceMinutes) || graceMinutes < 0) {
+        return res.status(400).json({
+          error: "grace_minutes must be a number of minutes (0 or more)",
+        });
+      }
+
+      const key = await centralMonitor.issueStoreKey(
+        req.params.storeId,
+        graceMinutes
+      );
+      if (!key) {
+        return res.status(404).json({ error: "Store is not registered" });
+      }
+      res.status(201).json(key);
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  }
+);
+
+// Revoke all of a store's keys
+app.delete(
+  "/stores/:storeId/credentials",
+  requireRole("admin"),
+  async (req, res) => {
+    try {
+      const revoked = await centralMonitor.revokeStoreKeys(req.params.storeId);
+      res.json({ status: "Keys revoked", revoked });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  }
+);
+
+// Revoke one key
+app.delete(
+  "/stores/:storeId/credentials/:keyId",
+  requireRole("admin"),
+  async (req, res) => {
+    try {
+      const { storeId, keyId } = req.params;
+      const revoked = await centralMonitor.revokeStoreKeys(storeId, keyId);
+      if (revoked === 0) {
+        return res
+          .status(404)
+          .json({ error: "Key not found or already revoked" });
+      }
+      res.json({ status: "Key revoked", key_id: keyId });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  }
+);
+
+// A store's own recipients and who actually gets its alerts
+app.get("/stores/:storeId/recipients", requireRole("viewer"), (req, res) => {
+  try {
+    const { storeId } = req.params;
+    if (!centralMonitor.allStores.has(storeId)) {
+      return res.status(404).json({ error: "Store not found" });
+    }
+
+    const recipients = centralMonitor.storeEmailConfig.get(storeId) || [];
+    res.json({
+      store_id: storeId,
+      recipients,
+      uses_default: recipients.length === 0,
+      effective_recipients: centralMonitor.getEmailRecipients(storeId),
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Replace a store's recipients ({ recipients: [...] })
+app.put(
+  "/stores/:storeId/recipients",
+  requireRole("admin"),
+  async (req, res) => {
+    try {
+      const { storeId } = req.params;
+      if (!centralMonitor.allStores.has(storeId)) {
+        return res.status(404).json({ error: "Store not found" });
+      }
+
+      const { recipients, error } = parseRecipients(req.body?.recipients);
+      if (error) {
+        return res.status(400).json({ error });
+      }
+
+      const previous = await centralMonitor.setRecipients(
+        storeId,
+        recipients,
+        req.auth?.name || null
+      );
+      res.json({
+        store_id: storeId,
+        recipients,
+        previous_recipients: previous,
+      });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  }
+);
+
+// Drop a store's own recipients so it uses the default list
+app.delete(
+  "/stores/:storeId/recipients",
+  requireRole("admin"),
+  async (req, res) => {
+    try {
+      const deleted = await centralMonitor.deleteRecipients(
+        req.params.storeId,
+        req.auth?.name || null
+      );
+      if (!deleted) {
+        return res
+          .status(404)
+          .json({ error: "Store has no recipients of its own" });
+      }
+      res.json({ status: "Recipients removed, store uses the default list" });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  }
+);
+
+// Recipient changes, newest first (?scope_id=STORE_ID|default|reports, ?limit=)
+app.get("/recipients/changes", requireRole("admin"), async (req, res) => {
+  try {
+    const limit = Math.max(1, Math.min(parseInt(req.query.limit) || 100, 1000));
+    const params = [];
+    let where = "";
+    if (req.query.scope_id) {
+      where = "WHERE scope_id = ?";
+      params.push(req.query.scope_id);
+    }
+
+    const [changes] = await centralMonitor.db.execute(
+      `SELECT * FROM recipient_changes ${where}
+       ORDER BY changed_at DESC, id DESC LIMIT ${limit}`,
+      params
+    );
+    res.json({ total: changes.length, changes });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// The lists that aren't tied to a store: default and reports
+app.get("/recipients/:list", requireRole("viewer"), (req, res) => {
+  try {
+    const { list } = req.params;
+    if (!RECIPIENT_LISTS.includes(list)) {
+      return res.status(404).json({ error: "Unknown recipient list" });
+    }
+
+    res.json({
+      list,
+      recipients: centralMonitor.storeEmailConfig.get(list) || [],
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.put("/recipients/:list", requireRole("admin"), async (req, res) => {
+  try {
+    const { list } = req.params;
+    if (!RECIPIENT_LISTS.includes(list)) {
+      return res.status(404).json({ error: "Unknown recipient list" });
+    }
+
+    const { recipients, error } = parseRecipients(req.body?.recipients);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const previous = await centralMonitor.setRecipients(
+      list,
+      recipients,
+      req.auth?.name || null
+    );
+    res.json({ list, recipients, previous_recipients: previous });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.delete("/recipients/:list", requireRole("admin"), async (req, res) => {
+  try {
+    const { list } = req.params;
+    if (!RECIPIENT_LISTS.includes(list)) {
+      return res.status(404).json({ error: "Unknown recipient list" });
+    }
+
+    const deleted = await centralMonitor.deleteRecipients(
+      list,
+      req.auth?.name || null
+    );
+    if (!deleted) {
+      return res.status(404).json({ error: "List is already empty" });
+    }
+    res.json({ status: `Recipients removed from the ${list} list` });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Live updates as Server-Sent Events (?store_id= for one store's events).
+// Reconnecting clients resume from the Last-Event-ID header (or
+// ?last_event_id=); everyone else starts with a "snapshot" event.
+app.get("/events/stream", requireRole("viewer"), (req, res) => {
+  const storeId = req.query.store_id || null;
+  if (storeId && !centralMonitor.allStores.has(storeId)) {
+    return res.status(404).json({ error: "Store not found" });
+  }
+
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no", // don't let a proxy hold events back
+  });
+  res.write("retry: 5000\n\n");
+
+  const client = centralMonitor.addEventClient(res, {
+    lastEventId: req.get("Last-Event-ID") || req.query.last_event_id,
+    storeId,
+  });
+
+  // Comments keep idle connections from being dropped by proxies
+  const keepAlive = setInterval(() => {
+    res.write(": keep-alive\n\n");
+  }, centralMonitor.eventKeepAliveSeconds * 1000);
+
+  req.on("close", () => {
+    clearInterval(keepAlive);
+    centralMonitor.removeEventClient(client);
+  });
+});
+
+// Fleet gauges and server counters for Prometheus to scrape
+app.get("/metrics", requireRole("viewer"), (req, res) => {
+  try {
+    res.type(PROMETHEUS_CONTENT_TYPE);
+    res.send(centralMonitor.getPrometheusMetrics());
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Dashboard endpoint - returns data for ALL stores (?group=, ?tag=, ?region=
+// to narrow it down)
+app.get("/dashboard", requireRole("viewer"), (req, res) => {
+  try {
+    const { filter, error } = parseStoreFilter(req.query);
+    if (error) {
+      return res.status(404).json({ error });
+    }
+
+    const data = centralMonitor.getDashboardData(filter);
+    res.json(data);
+  } catch (error) {
+    console.error("Dashboard error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Get specific store details
+app.get("/store/:storeId", requireRole("viewer"), async (req, res) => {
+  try {
+    const { storeId } = req.params;
+    const store = centralMonitor.allStores.get(storeId);
+
+    if (!store) {
+      return res.status(404).json({ error: "Store not found" });
+    }
+
+    const currentTime = new Date();
+    const alertSettings = centralMonitor.getAlertSettings(storeId);
+    let minutesSinceHeartbeat = null;
+
+    // The forecast needs the database; the rest of the page doesn't
+    let diskForecast = null;
+    let diskForecastError = null;
+    try {
+      diskForecast = await centralMonitor.getDiskForecast(storeId);
+    } catch (error) {
+      diskForecastError = error.message;
+    }
+    let isOnline = false;
+
+    if (store.last_heartbeat) {
+      minutesSinceHeartbeat =
+        (currentTime - store.last_heartbeat) / (1000 * 60);
+      isOnline = minutesSinceHeartbeat <= alertSettings.alert_threshold_minutes;
+    }
+
+    res.json({
+      ...store,
+      minutes_since_heartbeat: minutesSinceHeartbeat
+        ? minutesSinceHeartbeat.toFixed(1)
+        : null,
+      is_online: isOnline,
+      email_recipients: centralMonitor.getEmailRecipients(storeId),
+      groups: centralMonitor
+        .getStoreGroups(storeId)
+        .map((group) => ({ id: group.id, name: group.name })),
+      tags: centralMonitor.getStoreTags(storeId),
+      alert_threshold_minutes: alertSettings.alert_threshold_minutes,
+      alert_settings: alertSettings,
+      cameras: centralMonitor.getCameraStatus(storeId),
+      offline_incident: centralMonitor.getIncidentInfo(storeId),
+      flapping: centralMonitor.getFlappingInfo(storeId),
+      maintenance: centralMonitor.getActiveMaintenance(storeId, currentTime),
+      disk_forecast: diskForecast,
+      disk_forecast_error: diskForecastError,
+    });
+  } catch (error) {
+    console.error("Store details error:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Per-camera status and uptime for a store
+app.get("/store/:storeId/cameras", requireRole("viewer"), (req, res) => {
+  try {
+    const { storeId } = req.params;
+
+    if (!centralMonitor.allStores.has(storeId)) {
+      return res.status(404).json({ error: "Store not found" });
     }
+
+    const cameras = centralMonitor.getCameraStatus(storeId);
+    res.json({
+      store_id: storeId,
+      cameras,
+      total_cameras: cameras.length,
+      active_cameras: cameras.filter((c) => c.status === "active").length,
+      debounce_heartbeats: centralMonitor.cameraDebounceHeartbeats,
+    });
+  } catch (error) {
+    console.error("Camera status error:", error);
+    res.status(500).json({ error: "Internal server error" });
   }
+});
 
-  // Create email subject
-  createEmailSubject(storeId, alertType, severity, storeInfo) {
-    const icons = { startup: "🚀", recovery: "✅", offline: "🚨" };
-    const storeName = storeInfo?.store_name || `Store ${storeId}`;
+// Network speed tests, newest first (?limit=), with the store's baseline
+app.get("/store/:storeId/network", requireRole("viewer"), async (req, res) => {
+  try {
+    const { storeId } = req.params;
 
-    return `${
-      icons[alertType] || "📧"
-    } ${storeName} - ${alertType.toUpperCase()} Alert`;
+    if (!centralMonitor.allStores.has(storeId)) {
+      return res.status(404).json({ error: "Store not found" });
+    }
+
+    const limit = Math.max(1, Math.min(parseInt(req.query.limit) || 100, 1000));
+    const [measurements] = await centralMonitor.db.execute(
+      `SELECT timestamp, speed_mbps
+       FROM network_speed_history
+       WHERE store_id = ?
+       ORDER BY timestamp DESC
+       LIMIT ?`,
+      [storeId, limit]
+    );
+    const floorRule = centralMonitor.metricAlertRules.network_speed_mbps;
+
+    res.json({
+      store_id: storeId,
+      current_speed_mbps:
+        centralMonitor.storeMetrics.get(storeId)?.network_speed_mbps ?? null,
+      floor:
+        floorRule && floorRule.enabled !== false
+          ? {
+              warn_mbps: floorRule.warn,
+              critical_mbps: floorRule.critical,
+              sustained_heartbeats: floorRule.sustained_heartbeats,
+            }
+          : null,
+      baseline: await centralMonitor.getNetworkBaseline(storeId),
+      degradation: centralMonitor.getNetworkDegradationInfo(storeId),
+      measurements: measurements.map((row) => ({
+        timestamp: new Date(row.timestamp).toISOString(),
+        speed_mbps: Number(row.speed_mbps),
+      })),
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
   }
+});
 
-  // Create email body
-  createEmailBody(storeId, alertType, message, severity, storeData, storeInfo) {
-    const colors = {
-      low: "#28a745",
-      medium: "#17a2b8",
-      high: "#fd7e14",
-      critical: "#dc3545",
-    };
+// Validate a maintenance window request body
+function parseMaintenanceWindowInput(body = {}) {
+  const storeIds = (
+    Array.isArray(body.store_ids)
+      ? body.store_ids
+      : body.store_id
+      ? [body.store_id]
+      : []
+  ).map(String);
+  if (storeIds.length === 0) {
+    return { error: "store_id or store_ids is required" };
+  }
 
-    const color = colors[severity];
-    const storeName = storeInfo?.store_name || `Store ${storeId}`;
-    const location = storeInfo?.location || "Unknown";
-    const isGoodNews = alertType === "startup" || alertType === "recovery";
+  const recurrence = body.recurrence || "none";
+  if (!["none", "daily", "weekly"].includes(recurrence)) {
+    return { error: "recurrence must be one of none, daily, weekly" };
+  }
 
-    return `
-      <html>
-      <body style="font-family: Arial, sans-serif; margin: 20px;">
-        <div style="background-color: ${color}; color: white; padding: 20px; border-radius: 8px;">
-          <h2>🏪 Store Alert: ${storeName}</h2>
-          <h3>Status: ${alertType.toUpperCase()}</h3>
-        </div>
-        
-        <div style="margin: 20px 0;">
-          <table style="width: 100%; border-collapse: collapse;">
-            <tr>
-              <td style="padding: 10px; border: 1px solid #ddd; font-weight: bold; background: #f9f9f9;">Store ID:</td>
-              <td style="padding: 10px; border: 1px solid #ddd;">${storeId}</td>
-            </tr>
-            <tr>
-              <td style="padding: 10px; border: 1px solid #ddd; font-weight: bold; background: #f9f9f9;">Store Name:</td>
-              <td style="padding: 10px; border: 1px solid #ddd;">${storeName}</td>
-            </tr>
-            <tr>
-              <td style="padding: 10px; border: 1px solid #ddd; font-weight: bold; background: #f9f9f9;">Location:</td>
-              <td style="padding: 10px; border: 1px solid #ddd;">${location}</td>
-            </tr>
-            <tr>
-              <td style="padding: 10px; border: 1px solid #ddd; font-weight: bold; background: #f9f9f9;">Alert Type:</td>
-              <td style="padding: 10px; border: 1px solid #ddd; color: ${color}; font-weight: bold;">${alertType.toUpperCase()}</td>
-            </tr>
-            <tr>
-              <td style="padding: 10px; border: 1px solid #ddd; font-weight: bold; background: #f9f9f9;">Message:</td>
-              <td style="padding: 10px; border: 1px solid #ddd;">${message}</td>
-            </tr>
-            <tr>
-              <td style="padding: 10px; border: 1px solid #ddd; font-weight: bold; background: #f9f9f9;">Time:</td>
-              <td style="padding: 10px; border: 1px solid #ddd;">${new Date().toLocaleString()}</td>
-            </tr>
-          </table>
-        </div>
-        
-        ${
-          storeData && storeData.system_stats
-            ? this.createSystemInfoSection(storeData)
-            : ""
-        }
-        
-        <div style="margin-top: 20px; padding: 15px; background: ${
-          isGoodNews ? "#d4edda" : "#f8d7da"
-        }; border-radius: 5px;">
-          <h4 style="color: ${isGoodNews ? "#155724" : "#721c24"}; margin: 0;">
-            ${isGoodNews ? "✅ Good News!" : "🚨 Action Required!"}
-          </h4>
-          <p style="color: ${
-            isGoodNews ? "#155724" : "#721c24"
-          }; margin: 5px 0 0 0;">
-            ${
-              isGoodNews
-                ? "Store system is operational and monitoring resumed."
-                : `Please check the store system immediately. This alert repeats every ${this.offlineAlertCooldownMinutes} minutes until resolved.`
-            }
-          </p>
-        </div>
-        
-        <div style="margin-top: 20px; padding: 15px; background: #f8f9fa; border-radius: 5px;">
-          <p><strong>🏭 Centralized Store Monitoring System</strong></p>
-          <p>Total Stores Monitored: ${
-            this.allStores.size
-          } | Alert Threshold: ${this.alertThresholdMinutes}min</p>
-        </div>
-      </body>
-      </html>
-    `;
+  const startsAt = new Date(body.starts_at);
+  if (!body.starts_at || isNaN(startsAt)) {
+    return { error: "starts_at must be a valid date" };
   }
 
-  // Create system info section for emails
-  createSystemInfoSection(storeData) {
-    const sys = storeData.system_stats || {};
-    const cam = storeData.camera_status || {};
+  const endsAt = body.ends_at ? new Date(body.ends_at) : null;
+  if (body.ends_at && (isNaN(endsAt) || endsAt <= startsAt)) {
+    return { error: "ends_at must be a valid date after starts_at" };
+  }
 
-    return `
-      <div style="margin: 20px 0;">
-        <h3>📊 System Information:</h3>
-        <table style="width: 100%; border-collapse: collapse;">
-          <tr>
-            <td style="padding: 8px; border: 1px solid #ddd; font-weight: bold; background: #f9f9f9;">CPU Usage:</td>
-            <td style="padding: 8px; border: 1px solid #ddd;">${
-              sys.cpu_usage_percent || "Unknown"
-            }%</td>
-          </tr>
-          <tr>
-            <td style="padding: 8px; border: 1px solid #ddd; font-weight: bold; background: #f9f9f9;">Memory Usage:</td>
-            <td style="padding: 8px; border: 1px solid #ddd;">${
-              sys.memory_usage_percent || "Unknown"
-            }%</td>
-          </tr>
-          <tr>
-            <td style="padding: 8px; border: 1px solid #ddd; font-weight: bold; background: #f9f9f9;">Disk Free:</td>
-            <td style="padding: 8px; border: 1px solid #ddd;">${
-              sys.disk_free_gb || "Unknown"
-            } GB</td>
-          </tr>
-          <tr>
-            <td style="padding: 8px; border: 1px solid #ddd; font-weight: bold; background: #f9f9f9;">Network:</td>
-            <td style="padding: 8px; border: 1px solid #ddd;">${
-              sys.network_connected ? "✅ Connected" : "❌ Disconnected"
-            }</td>
-          </tr>
-          <tr>
-            <td style="padding: 8px; border: 1px solid #ddd; font-weight: bold; background: #f9f9f9;">Cameras:</td>
-            <td style="padding: 8px; border: 1px solid #ddd;">${
-              cam.active_cameras || 0
-            } / ${cam.total_cameras || 0} active</td>
-          </tr>
-        </table>
-      </div>
-    `;
+  const durationMinutes = parseInt(body.duration_minutes) || null;
+  if (recurrence === "none" && !endsAt) {
+    return { error: "ends_at is required for a one-off window" };
+  }
+  if (recurrence !== "none" && !durationMinutes) {
+    return { error: "duration_minutes is required for a recurring window" };
   }
 
-  // Start health monitoring
-  startHealthMonitoring() {
-    // Run health check every X minutes
-    cron.schedule(`*/${this.healthCheckIntervalMinutes} * * * *`, () => {
-      this.performHealthCheck();
+  if (
+    body.days_of_week !== undefined &&
+    body.days_of_week !== null &&
+    !Array.isArray(body.days_of_week)
+  ) {
+    return {
+      error: "days_of_week must be an array of numbers 0 (Sunday) to 6",
+    };
+  }
+  const daysOfWeek = (body.days_of_week || []).map(Number);
+  if (daysOfWeek.some((day) => !Number.isInteger(day) || day < 0 || day > 6)) {
+    return { error: "days_of_week must contain numbers 0 (Sunday) to 6" };
+  }
+
+  return {
+    window: {
+      title: body.title || "Scheduled maintenance",
+      store_ids: storeIds,
+      recurrence,
+      starts_at: startsAt,
+      ends_at: endsAt,
+      duration_minutes: recurrence === "none" ? null : durationMinutes,
+      days_of_week: recurrence === "weekly" ? daysOfWeek : [],
+      reason: body.reason || null,
+      created_by: body.created_by || null,
+    },
+  };
+}
+
+// Schedule a maintenance window for one or more stores
+app.post("/maintenance", requireRole("operator"), async (req, res) => {
+  try {
+    const { window, error } = parseMaintenanceWindowInput({
+      created_by: req.auth?.name,
+      ...req.body,
     });
+    if (error) {
+      return res.status(400).json({ error });
+    }
 
-    console.log(
-      `🚀 Health monitoring started (every ${this.healthCheckIntervalMinutes} minutes)`
+    const id = await centralMonitor.createMaintenanceWindow(window);
+    res.status(201).json({
+      status: "Maintenance window created",
+      id,
+      ...window,
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// List maintenance windows (?store_id=, ?include_cancelled=true)
+app.get("/maintenance", requireRole("viewer"), async (req, res) => {
+  try {
+    const includeCancelled = req.query.include_cancelled === "true";
+    const [rows] = await centralMonitor.db.execute(
+      `SELECT * FROM maintenance_windows
+       ${includeCancelled ? "" : "WHERE cancelled = FALSE"}
+       ORDER BY starts_at DESC`
     );
+
+    const currentTime = new Date();
+    const windows = rows
+      .map((row) => centralMonitor.normalizeMaintenanceWindow(row))
+      .filter(
+        (window) =>
+          !req.query.store_id ||
+          window.store_ids.includes(String(req.query.store_id))
+      )
+      .map((window) => ({
+        ...window,
+        active_now:
+          !window.cancelled &&
+          centralMonitor.getMaintenanceOccurrences(
+            window,
+            currentTime,
+            new Date(currentTime.getTime() + 1)
+          ).length > 0,
+      }));
+
+    res.json(windows);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
   }
+});
 
-  // Format duration
-  formatDuration(durationMs) {
-    const minutes = Math.floor(durationMs / (1000 * 60));
-    const hours = Math.floor(minutes / 60);
-    const remainingMinutes = minutes % 60;
+// Cancel a maintenance window
+app.delete("/maintenance/:id", requireRole("operator"), async (req, res) => {
+  try {
+    const windowId = parseInt(req.params.id);
+    if (!windowId) {
+      return res.status(400).json({ error: "Invalid maintenance window id" });
+    }
 
-    if (hours > 0) {
-      return `${hours}h ${remainingMinutes}m`;
+    const cancelled = await centralMonitor.cancelMaintenanceWindow(windowId);
+    if (!cancelled) {
+      return res
+        .status(404)
+        .json({ error: "Maintenance window not found or already cancelled" });
     }
-    return `${minutes}m`;
-  }
 
-  // Get dashboard data for ALL stores
-  getDashboardData() {
-    const stores = [];
-    const currentTime = new Date();
+    res.json({ status: "Maintenance window cancelled", id: windowId });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    for (const [storeId, store] of this.allStores) {
-      let minutesSinceHeartbeat = null;
-      let isOnline = false;
+// Preview a fleet report as JSON (period: daily or weekly)
+app.get("/reports/:period", requireRole("viewer"), async (req, res) => {
+  try {
+    const { period } = req.params;
+    if (!["daily", "weekly"].includes(period)) {
+      return res.status(400).json({ error: "period must be daily or weekly" });
+    }
 
-      if (store.last_heartbeat) {
-        minutesSinceHeartbeat =
-          (currentTime - store.last_heartbeat) / (1000 * 60);
-        isOnline = minutesSinceHeartbeat <= this.alertThresholdMinutes;
-      }
+    res.json(await centralMonitor.buildFleetReport(period));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
 
-      stores.push({
-        store_id: storeId,
-        store_name: store.store_name,
-        location: store.location,
-        status: store.last_heartbeat
-          ? isOnline
-            ? "online"
-            : "offline"
-          : "unknown",
-        last_heartbeat: store.last_heartbeat
-          ? store.last_heartbeat.toISOString()
-          : null,
-        minutes_since_heartbeat: minutesSinceHeartbeat
-          ? minutesSinceHeartbeat.toFixed(1)
-          : null,
-        first_seen: store.first_seen ? store.first_seen.toISOString() : null,
-        email_recipients: this.getEmailRecipients(storeId),
-        metrics: store.metrics || {},
-        config: store.config || {},
-      });
+// Email a fleet report now instead of waiting for the schedule
+app.post("/reports/:period/send", requireRole("operator"), async (req, res) => {
+  try {
+    const { period } = req.params;
+    if (!["daily", "weekly"].includes(period)) {
+      return res.status(400).json({ error: "period must be daily or weekly" });
     }
 
-    return {
-      stores: stores.sort((a, b) => a.store_id.localeCompare(b.store_id)),
-      summary: {
-        total_stores: this.allStores.size,
-        online_stores: stores.filter((s) => s.status === "online").length,
-        offline_stores: stores.filter((s) => s.status === "offline").length,
-        unknown_stores: stores.filter((s) => s.status === "unknown").length,
-        last_updated: currentTime.toISOString(),
-      },
-    };
+    const { report, queued, recipients } = await centralMonitor.sendFleetReport(
+      period
+    );
+    res.json({
+      status: queued ? "Report queued" : "Report built but not emailed",
+      recipients: recipients || [],
+      report,
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
   }
+});
 
-  // Reload configurations - only email config now
-  reloadConfigurations() {
-    console.log("🔄 Reloading email configuration...");
-    this.storeEmailConfig.clear();
-    this.loadEmailConfiguration();
+// Parse ?from=&to= for the history routes (default: the last 24 hours)
+function parseTimeRange(query, defaultHours = 24) {
+  const to = query.to ? new Date(query.to) : new Date();
+  const from = query.from
+    ? new Date(query.from)
+    : new Date(to.getTime() - defaultHours * 60 * 60 * 1000);
 
-    return {
-      email_configs_loaded: this.storeEmailConfig.size,
-    };
+  if (isNaN(from) || isNaN(to)) {
+    return { error: "from and to must be valid dates" };
+  }
+  if (from >= to) {
+    return { error: "from must be before to" };
+  }
+  if (to - from > 366 * 24 * 60 * 60 * 1000) {
+    return { error: "Time range can be at most 366 days" };
   }
+
+  return { from, to };
+}
+
+// Bucket sizes like "300", "5m", "1h" or "1d", in seconds
+function parseBucketSeconds(value) {
+  const match = /^(\d+)([smhd]?)$/.exec(String(value).trim());
+  if (!match) return null;
+
+  const multipliers = { "": 1, s: 1, m: 60, h: 3600, d: 86400 };
+  return parseInt(match[1]) * multipliers[match[2]];
 }
 
-// Initialize the centralized monitoring server
-const centralMonitor = new CentralizedMonitoringServer();
+// Time series of one metric (?metric=cpu_usage&from=&to=&bucket=5m)
+app.get("/store/:storeId/metrics", requireRole("viewer"), async (req, res) => {
+  try {
+    const { storeId } = req.params;
+    const { metric } = req.query;
+
+    if (!Object.hasOwn(HISTORY_METRICS, metric)) {
+      return res.status(400).json({
+        error: "Unknown or missing metric",
+        available_metrics: Object.keys(HISTORY_METRICS),
+      });
+    }
+
+    const { from, to, error } = parseTimeRange(req.query);
+    if (error) {
+      return res.status(400).json({ error });
+    }
 
-// ============================================================================
-// API ROUTES
-// ============================================================================
+    let bucketSeconds = centralMonitor.pickMetricBucket(from, to);
+    if (req.query.bucket) {
+      bucketSeconds = parseBucketSeconds(req.query.bucket);
+      if (!bucketSeconds) {
+        return res
+          .status(400)
+          .json({ error: "bucket must look like 300, 5m, 1h or 1d" });
+      }
+      if ((to - from) / 1000 / bucketSeconds > MAX_METRIC_POINTS * 10) {
+        return res.status(400).json({
+          error: `bucket is too small for this range (at most ${
+            MAX_METRIC_POINTS * 10
+          } points)`,
+        });
+      }
+    }
 
-// Main heartbeat endpoint - receives heartbeats from ALL stores
-app.post("/heartbeat", async (req, res) => {
-  try {
-    const result = await centralMonitor.processHeartbeat(req.body);
-    res.json({
-      status: "received",
-      timestamp: new Date().toISOString(),
-      ...result,
-    });
-  } catch (error) {
-    console.error("Heartbeat processing error:", error);
-    res.status(500).json({ error: "Internal server error" });
-  }
-});
+    const points = await centralMonitor.getMetricSeries(
+      storeId,
+      metric,
+      from,
+      to,
+      bucketSeconds
+    );
 
-// Buffered heartbeat endpoint
-app.post("/heartbeat/buffered", async (req, res) => {
-  try {
-    const result = await centralMonitor.processHeartbeat(req.body);
     res.json({
-      status: "received",
-      timestamp: new Date().toISOString(),
-      buffered: true,
-      ...result,
+      store_id: storeId,
+      metric,
+      unit: HISTORY_METRICS[metric].unit.trim(),
+      from: from.toISOString(),
+      to: to.toISOString(),
+      bucket_seconds: bucketSeconds,
+      points,
     });
   } catch (error) {
-    console.error("Buffered heartbeat error:", error);
-    res.status(500).json({ error: "Internal server error" });
+    res.status(500).json({ error: error.message });
   }
 });
 
-// Dashboard endpoint - returns data for ALL stores
-app.get("/dashboard", (req, res) => {
+// Run the data retention job now instead of waiting for its schedule
+app.post("/retention/run", requireRole("admin"), async (req, res) => {
   try {
-    const data = centralMonitor.getDashboardData();
-    res.json(data);
+    const summary = await centralMonitor.runDataRetention();
+    if (!summary) {
+      return res
+        .status(409)
+        .json({ error: "Data retention is already running" });
+    }
+    res.json({ status: "Data retention complete", ...summary });
   } catch (error) {
-    console.error("Dashboard error:", error);
-    res.status(500).json({ error: "Internal server error" });
+    res.status(500).json({ error: error.message });
   }
 });
 
-// Get specific store details
-app.get("/store/:storeId", (req, res) => {
+// Uptime / SLA for one store (?from=&to=&exclude_maintenance=true)
+app.get("/store/:storeId/uptime", requireRole("viewer"), async (req, res) => {
   try {
     const { storeId } = req.params;
-    const store = centralMonitor.allStores.get(storeId);
+    const { from, to, error } = parseTimeRange(req.query);
+    if (error) {
+      return res.status(400).json({ error });
+    }
 
-    if (!store) {
-      return res.status(404).json({ error: "Store not found" });
+    const excludeMaintenance = req.query.exclude_maintenance === "true";
+    const [availability] = await centralMonitor.getFleetAvailability(
+      from,
+      to,
+      storeId,
+      { excludeMaintenance }
+    );
+
+    if (!availability) {
+      return res
+        .status(404)
+        .json({ error: "No monitoring data for this store in that range" });
     }
 
-    const currentTime = new Date();
-    let minutesSinceHeartbeat = null;
-    let isOnline = false;
+    res.json({
+      from: from.toISOString(),
+      to: to.toISOString(),
+      exclude_maintenance: excludeMaintenance,
+      ...availability,
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    if (store.last_heartbeat) {
-      minutesSinceHeartbeat =
-        (currentTime - store.last_heartbeat) / (1000 * 60);
-      isOnline = minutesSinceHeartbeat <= centralMonitor.alertThresholdMinutes;
+// Uptime / SLA for every store plus fleet totals
+app.get("/uptime", requireRole("viewer"), async (req, res) => {
+  try {
+    const { from, to, error } = parseTimeRange(req.query);
+    if (error) {
+      return res.status(400).json({ error });
     }
 
+    const excludeMaintenance = req.query.exclude_maintenance === "true";
+    const stores = await centralMonitor.getFleetAvailability(from, to, null, {
+      excludeMaintenance,
+    });
+
     res.json({
-      ...store,
-      minutes_since_heartbeat: minutesSinceHeartbeat
-        ? minutesSinceHeartbeat.toFixed(1)
-        : null,
-      is_online: isOnline,
-      email_recipients: centralMonitor.getEmailRecipients(storeId),
+      from: from.toISOString(),
+      to: to.toISOString(),
+      exclude_maintenance: excludeMaintenance,
       alert_threshold_minutes: centralMonitor.alertThresholdMinutes,
+      fleet: centralMonitor.summarizeAvailability(stores),
+      stores,
     });
   } catch (error) {
-    console.error("Store details error:", error);
-    res.status(500).json({ error: "Internal server error" });
+    res.status(500).json({ error: error.message });
   }
 });
 
 // Manual health check trigger
-app.get("/trigger-health-check", async (req, res) => {
+app.get("/trigger-health-check", requireRole("operator"), async (req, res) => {
   try {
     await centralMonitor.performHealthCheck();
     res.json({
@@ -1018,7 +6740,7 @@ app.get("/trigger-health-check", async (req, res) => {
 });
 
 // Test email for specific store
-app.get("/test-email/:storeId", async (req, res) => {
+app.get("/test-email/:storeId", requireRole("operator"), async (req, res) => {
   try {
     const { storeId } = req.params;
     const recipients = centralMonitor.getEmailRecipients(storeId);
@@ -1034,7 +6756,9 @@ app.get("/test-email/:storeId", async (req, res) => {
       storeId,
       "offline",
       "This is a test email from the centralized monitoring system",
-      "critical"
+      "critical",
+      null,
+      { resolved: true }
     );
 
     res.json({
@@ -1048,8 +6772,9 @@ app.get("/test-email/:storeId", async (req, res) => {
   }
 });
 
-// Configuration management - only email config
-app.get("/config/email", (req, res) => {
+// Every recipient list (managed through /recipients and
+// /stores/:storeId/recipients)
+app.get("/config/email", requireRole("admin"), (req, res) => {
   try {
     const config = {};
     for (const [storeId, emails] of centralMonitor.storeEmailConfig) {
@@ -1064,11 +6789,210 @@ app.get("/config/email", (req, res) => {
   }
 });
 
-app.post("/config/reload", (req, res) => {
+app.get("/config/escalation", requireRole("admin"), (req, res) => {
+  try {
+    const config = {};
+    for (const [storeId, levels] of centralMonitor.escalationConfig) {
+      config[storeId] = levels;
+    }
+    res.json({
+      escalation_configurations: config,
+      total_configured: centralMonitor.escalationConfig.size,
+      config_path: centralMonitor.escalationConfigPath,
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get("/config/channels", requireRole("admin"), (req, res) => {
+  try {
+    const config = {};
+    for (const [storeId, channels] of centralMonitor.notificationChannels) {
+      config[storeId] = channels.map((channel) => channel.describe());
+    }
+    res.json({
+      channel_configurations: config,
+      total_configured: centralMonitor.notificationChannels.size,
+      config_path: centralMonitor.notificationChannelsPath,
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get("/config/alert-rules", requireRole("admin"), (req, res) => {
+  try {
+    res.json({
+      metric_alert_rules: centralMonitor.metricAlertRules,
+      rules_path: centralMonitor.alertRulesPath,
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// URL segment -> alert_settings scope_type
+const ALERT_SETTING_SCOPES = {
+  stores: "store",
+  groups: "group",
+  regions: "region",
+};
+
+// Validate alert setting overrides. Each is a whole number of minutes, or
+// null to inherit again.
+function parseAlertSettingsInput(body = {}) {
+  const changes = {};
+
+  for (const field of Object.keys(ALERT_SETTING_FIELDS)) {
+    if (body[field] === undefined) continue;
+    if (body[field] === null) {
+      changes[field] = null;
+      continue;
+    }
+
+    const minutes = Number(body[field]);
+    if (!Number.isInteger(minutes) || minutes < 1 || minutes > 1440) {
+      return { error: `${field} must be between 1 and 1440 minutes, or null` };
+    }
+    changes[field] = minutes;
+  }
+
+  if (Object.keys(changes).length === 0) {
+    return {
+      error: `Give at least one of ${Object.keys(ALERT_SETTING_FIELDS).join(
+        ", "
+      )}`,
+    };
+  }
+  return { changes };
+}
+
+// Server defaults and every store/group/region override
+app.get("/config/alert-settings", requireRole("viewer"), (req, res) => {
+  try {
+    const defaults = {};
+    for (const [field, configKey] of Object.entries(ALERT_SETTING_FIELDS)) {
+      defaults[field] = centralMonitor[configKey];
+    }
+
+    const overrides = { stores: {}, groups: {}, regions: {} };
+    for (const [key, settings] of centralMonitor.alertSettings) {
+      const [scopeType, ...scopeId] = key.split(":");
+      overrides[`${scopeType}s`][scopeId.join(":")] = settings;
+    }
+
+    res.json({ defaults, overrides });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// A store's own overrides and the settings that end up applying to it
+app.get(
+  "/config/alert-settings/stores/:storeId",
+  requireRole("viewer"),
+  (req, res) => {
+    try {
+      const { storeId } = req.params;
+      if (!centralMonitor.allStores.has(storeId)) {
+        return res.status(404).json({ error: "Store not found" });
+      }
+
+      res.json({
+        store_id: storeId,
+        region: centralMonitor.allStores.get(storeId).region,
+        overrides: centralMonitor.alertSettings.get(`store:${storeId}`) || {},
+        effective: centralMonitor.getAlertSettings(storeId),
+      });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  }
+);
+
+// Override thresholds/cooldowns for a store, group or region
+app.put(
+  "/config/alert-settings/:scope/:scopeId",
+  requireRole("admin"),
+  async (req, res) => {
+    try {
+      const scopeType = Object.hasOwn(ALERT_SETTING_SCOPES, req.params.scope)
+        ? ALERT_SETTING_SCOPES[req.params.scope]
+        : null;
+      let { scopeId } = req.params;
+      if (!scopeType) {
+        return res
+          .status(404)
+          .json({ error: "Scope must be 'stores', 'groups' or 'regions'" });
+      }
+      if (scopeType === "store" && !centralMonitor.allStores.has(scopeId)) {
+        return res.status(404).json({ error: "Store not found" });
+      }
+      // Groups can be given by name, but are stored by ID
+      if (scopeType === "group") {
+        const group = centralMonitor.findStoreGroup(scopeId);
+        if (!group) {
+          return res.status(404).json({ error: "Group not found" });
+        }
+        scopeId = String(group.id);
+      }
+
+      const { changes, error } = parseAlertSettingsInput(req.body);
+      if (error) {
+        return res.status(400).json({ error });
+      }
+
+      const overrides = await centralMonitor.saveAlertSettings(
+        scopeType,
+        scopeId,
+        changes,
+        req.auth?.name || null
+      );
+      res.json({ scope_type: scopeType, scope_id: scopeId, overrides });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  }
+);
+
+// Drop all overrides for a store, group or region
+app.delete(
+  "/config/alert-settings/:scope/:scopeId",
+  requireRole("admin"),
+  async (req, res) => {
+    try {
+      const scopeType = Object.hasOwn(ALERT_SETTING_SCOPES, req.params.scope)
+        ? ALERT_SETTING_SCOPES[req.params.scope]
+        : null;
+      if (!scopeType) {
+        return res
+          .status(404)
+          .json({ error: "Scope must be 'stores', 'groups' or 'regions'" });
+      }
+
+      const group =
+        scopeType === "group" &&
+        centralMonitor.findStoreGroup(req.params.scopeId);
+      const deleted = await centralMonitor.deleteAlertSettings(
+        scopeType,
+        group ? String(group.id) : req.params.scopeId
+      );
+      if (!deleted) {
+        return res.status(404).json({ error: "No overrides to remove" });
+      }
+      res.json({ status: "Alert settings removed" });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  }
+);
+
+app.post("/config/reload", requireRole("admin"), async (req, res) => {
   try {
-    const result = centralMonitor.reloadConfigurations();
+    const result = await centralMonitor.reloadConfigurations();
     res.json({
-      status: "Email configuration reloaded",
+      status: "Configuration reloaded",
       ...result,
       timestamp: new Date().toISOString(),
     });
@@ -1077,17 +7001,50 @@ app.post("/config/reload", (req, res) => {
   }
 });
 
-// Get recent alerts
-app.get("/alerts", async (req, res) => {
+// Translate ?status=open|resolved into a WHERE fragment for the alerts routes
+function alertStatusFilter(status, column = "resolved") {
+  if (status === "open") return `${column} = FALSE`;
+  if (status === "resolved") return `${column} = TRUE`;
+  return null;
+}
+
+// Per-alert delivery counts from the notification queue
+const DELIVERY_STATUS_COLUMNS = `
+  (SELECT COUNT(*) FROM notification_queue q WHERE q.alert_id = a.id AND q.status = 'queued') AS deliveries_queued,
+  (SELECT COUNT(*) FROM notification_queue q WHERE q.alert_id = a.id AND q.status = 'sent') AS deliveries_sent,
+  (SELECT COUNT(*) FROM notification_queue q WHERE q.alert_id = a.id AND q.status = 'failed') AS deliveries_failed`;
+
+// Get recent alerts (?status=open for what is still broken, ?group=, ?tag=
+// and ?region= for some of the stores)
+app.get("/alerts", requireRole("viewer"), async (req, res) => {
   try {
     const limit = parseInt(req.query.limit) || 50;
+    const { filter, error } = parseStoreFilter(req.query);
+    if (error) {
+      return res.status(404).json({ error });
+    }
+
+    const conditions = [];
+    const params = [];
+    const statusFilter = alertStatusFilter(req.query.status, "a.resolved");
+    if (statusFilter) conditions.push(statusFilter);
+    if (filter) {
+      const storeIds = centralMonitor.filterStoreIds(filter);
+      if (storeIds.length === 0) {
+        return res.json([]);
+      }
+      conditions.push(`a.store_id IN (${storeIds.map(() => "?").join(", ")})`);
+      params.push(...storeIds);
+    }
+
     const [alerts] = await centralMonitor.db.execute(
-      `SELECT a.*, s.store_name 
+      `SELECT a.*, s.store_name, ${DELIVERY_STATUS_COLUMNS}
        FROM alerts a 
        LEFT JOIN stores s ON a.store_id = s.store_id 
+       ${conditions.length > 0 ? `WHERE ${conditions.join(" AND ")}` : ""}
        ORDER BY a.timestamp DESC 
        LIMIT ?`,
-      [limit]
+      [...params, limit]
     );
 
     res.json(alerts);
@@ -1096,16 +7053,31 @@ app.get("/alerts", async (req, res) => {
   }
 });
 
+// Open mass outages and the stores they cover
+app.get("/mass-outages", requireRole("viewer"), (req, res) => {
+  res.json({
+    detection_enabled: centralMonitor.massOutageDetection,
+    threshold_percent: centralMonitor.massOutagePercent,
+    min_stores: centralMonitor.massOutageMinStores,
+    window_minutes: centralMonitor.massOutageWindowMinutes,
+    outages: [...centralMonitor.massOutages.values()].map((outage) =>
+      centralMonitor.describeMassOutage(outage)
+    ),
+  });
+});
+
 // Get alerts for specific store
-app.get("/alerts/:storeId", async (req, res) => {
+app.get("/alerts/:storeId", requireRole("viewer"), async (req, res) => {
   try {
     const { storeId } = req.params;
     const limit = parseInt(req.query.limit) || 20;
+    const statusFilter = alertStatusFilter(req.query.status, "a.resolved");
 
     const [alerts] = await centralMonitor.db.execute(
-      `SELECT * FROM alerts 
-       WHERE store_id = ? 
-       ORDER BY timestamp DESC 
+      `SELECT a.*, ${DELIVERY_STATUS_COLUMNS}
+       FROM alerts a
+       WHERE a.store_id = ? ${statusFilter ? `AND ${statusFilter}` : ""}
+       ORDER BY a.timestamp DESC 
        LIMIT ?`,
       [storeId, limit]
     );
@@ -1116,6 +7088,277 @@ app.get("/alerts/:storeId", async (req, res) => {
   }
 });
 
+// Simple HTML page for the acknowledge links opened from alert emails
+function renderAckPage(title, body, color = "#17a2b8") {
+  return `
+    <html>
+    <body style="font-family: Arial, sans-serif; margin: 20px;">
+      <div style="background-color: ${color}; color: white; padding: 20px; border-radius: 8px;">
+        <h2>🏭 ${escapeHtml(title)}</h2>
+      </div>
+      <div style="margin: 20px 0;">${body}</div>
+    </body>
+    </html>
+  `;
+}
+
+// Acknowledge link from an offline email. GET only shows a confirmation form
+// so mail scanners that prefetch links don't acknowledge on someone's behalf.
+app.get("/alerts/:id/acknowledge", (req, res) => {
+  const alertId = parseInt(req.params.id);
+  const { by, expires, sig } = req.query;
+  const check = centralMonitor.verifyAckToken(alertId, by, expires, sig);
+
+  if (!check.valid) {
+    return res
+      .status(403)
+      .send(renderAckPage("Acknowledge failed", check.reason, "#dc3545"));
+  }
+
+  const action = `/alerts/${alertId}/acknowledge?by=${encodeURIComponent(
+    by
+  )}&expires=${encodeURIComponent(expires)}&sig=${encodeURIComponent(sig)}`;
+
+  res.send(
+    renderAckPage(
+      "Acknowledge offline alert",
+      `<p>Acknowledge alert #${alertId} as <strong>${escapeHtml(
+        by
+      )}</strong>? Repeat emails for this incident will stop.</p>
+       <form method="post" action="${escapeHtml(action)}">
+         <button type="submit" style="padding: 10px 20px; font-size: 16px;">Acknowledge</button>
+       </form>`
+    )
+  );
+});
+
+app.post("/alerts/:id/acknowledge", async (req, res) => {
+  try {
+    const alertId = parseInt(req.params.id);
+    const { by, expires, sig } = req.query;
+    const check = centralMonitor.verifyAckToken(alertId, by, expires, sig);
+
+    if (!check.valid) {
+      return res
+        .status(403)
+        .send(renderAckPage("Acknowledge failed", check.reason, "#dc3545"));
+    }
+
+    const result = await centralMonitor.acknowledgeIncident(alertId, by);
+
+    if (result.status === "not_found") {
+      return res
+        .status(404)
+        .send(renderAckPage("Alert not found", "", "#dc3545"));
+    }
+    if (result.status === "resolved") {
+      return res.send(
+        renderAckPage(
+          "Already resolved",
+          "<p>The store is back online - nothing left to acknowledge.</p>",
+          "#28a745"
+        )
+      );
+    }
+    if (result.status === "already_acknowledged") {
+      return res.send(
+        renderAckPage(
+          "Already acknowledged",
+          `<p>Acknowledged by <strong>${escapeHtml(
+            result.alert.acknowledged_by
+          )}</strong> at ${new Date(
+            result.alert.acknowledged_at
+          ).toLocaleString()}.</p>`
+        )
+      );
+    }
+
+    res.send(
+      renderAckPage(
+        "Alert acknowledged",
+        `<p>Thanks, ${escapeHtml(by)}. Repeat emails for store ${escapeHtml(
+          result.alert.store_id
+        )} have stopped until it recovers.</p>`,
+        "#28a745"
+      )
+    );
+  } catch (error) {
+    console.error("Acknowledge error:", error);
+    res
+      .status(500)
+      .send(renderAckPage("Acknowledge failed", error.message, "#dc3545"));
+  }
+});
+
+// Columns of notification_queue that are safe to show (no payload/config,
+// which can hold webhook secrets)
+const DELIVERY_COLUMNS = `id, alert_id, store_id, channel_type, status, attempts, max_attempts,
+  next_attempt_at, last_error, sent_at, created_at, updated_at`;
+
+// Delivery status of every notification sent for an alert
+app.get("/alerts/:id/deliveries", requireRole("viewer"), async (req, res) => {
+  try {
+    const alertId = parseInt(req.params.id);
+    if (!alertId) {
+      return res.status(400).json({ error: "Invalid alert id" });
+    }
+
+    const [deliveries] = await centralMonitor.db.execute(
+      `SELECT ${DELIVERY_COLUMNS} FROM notification_queue
+       WHERE alert_id = ?
+       ORDER BY id`,
+      [alertId]
+    );
+
+    res.json({ alert_id: alertId, deliveries });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Notification queue (?status=queued|sent|failed)
+app.get("/notifications", requireRole("viewer"), async (req, res) => {
+  try {
+    const limit = Math.max(1, Math.min(parseInt(req.query.limit) || 50, 1000));
+    const status = ["queued", "sent", "failed"].includes(req.query.status)
+      ? req.query.status
+      : null;
+
+    const [deliveries] = await centralMonitor.db.execute(
+      `SELECT ${DELIVERY_COLUMNS} FROM notification_queue
+       ${status ? "WHERE status = ?" : ""}
+       ORDER BY id DESC
+       LIMIT ?`,
+      status ? [status, limit] : [limit]
+    );
+
+    res.json(deliveries);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Give a failed notification another round of attempts
+app.post(
+  "/notifications/:id/retry",
+  requireRole("operator"),
+  async (req, res) => {
+    try {
+      const notificationId = parseInt(req.params.id);
+      const [result] = await centralMonitor.db.execute(
+        `UPDATE notification_queue
+       SET status = 'queued', attempts = 0, next_attempt_at = ?
+       WHERE id = ? AND status = 'failed'`,
+        [new Date(), notificationId]
+      );
+
+      if (result.affectedRows === 0) {
+        return res.status(404).json({ error: "Failed notification not found" });
+      }
+
+      setImmediate(() => centralMonitor.processNotificationQueue());
+      res.json({ status: "Notification requeued", id: notificationId });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  }
+);
+
+// Manually resolve (or reopen with {"resolved": false}) an alert, or
+// acknowledge it with {"acknowledged": true}
+app.patch("/alerts/:id", requireRole("operator"), async (req, res) => {
+  try {
+    const alertId = parseInt(req.params.id);
+    if (!alertId) {
+      return res.status(400).json({ error: "Invalid alert id" });
+    }
+
+    // { acknowledged: true } acknowledges the offline incident the alert
+    // belongs to, the same as an emailed acknowledge link
+    if (req.body?.acknowledged === true && req.body?.resolved === undefined) {
+      const acknowledgedBy = req.auth
+        ? req.auth.name
+        : req.body.acknowledged_by || "manual";
+      const result = await centralMonitor.acknowledgeIncident(
+        alertId,
+        acknowledgedBy
+      );
+
+      if (result.status === "not_found") {
+        return res.status(404).json({
+          error: "Offline alert not found - only those can be acknowledged",
+        });
+      }
+      if (result.status === "resolved") {
+        return res
+          .status(409)
+          .json({ error: "Alert is already resolved", alert: result.alert });
+      }
+      return res.json({
+        status:
+          result.status === "acknowledged"
+            ? "Alert acknowledged"
+            : "Alert was already acknowledged",
+        alert: result.alert,
+      });
+    }
+
+    const resolved = req.body?.resolved !== false;
+    // The token says who did it; the body is only trusted with auth off
+    const resolvedBy = req.auth
+      ? req.auth.name
+      : req.body?.resolved_by || "manual";
+
+    const [result] = await centralMonitor.db.execute(
+      `UPDATE alerts
+       SET resolved = ?, resolved_at = ?, resolved_by = ?
+       WHERE id = ?`,
+      [
+        resolved,
+        resolved ? new Date() : null,
+        resolved ? resolvedBy : null,
+        alertId,
+      ]
+    );
+
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ error: "Alert not found" });
+    }
+
+    const [alerts] = await centralMonitor.db.execute(
+      `SELECT * FROM alerts WHERE id = ?`,
+      [alertId]
+    );
+
+    if (resolved && alerts[0].alert_type === "mass_outage") {
+      centralMonitor.forgetMassOutage(alertId);
+    } else if (resolved && alerts[0].alert_type === "offline") {
+      centralMonitor.forgetOfflineIncident(alerts[0].store_id);
+    } else if (resolved && alerts[0].alert_type === "flapping") {
+      centralMonitor.forgetFlapping(alerts[0].store_id);
+    }
+
+    centralMonitor.publishEvent(
+      resolved ? "alert_resolved" : "alert_reopened",
+      {
+        store_id: alerts[0].store_id,
+        alert_id: alertId,
+        alert_type: alerts[0].alert_type,
+        alert_key: alerts[0].alert_key,
+        resolved_by: resolved ? resolvedBy : null,
+        count: 1,
+      }
+    );
+
+    res.json({
+      status: resolved ? "Alert resolved" : "Alert reopened",
+      alert: alerts[0],
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // System health endpoint
 app.get("/health", (req, res) => {
   res.json({
@@ -1127,9 +7370,20 @@ app.get("/health", (req, res) => {
     alert_threshold_minutes: centralMonitor.alertThresholdMinutes,
     health_check_interval_minutes: centralMonitor.healthCheckIntervalMinutes,
     email_enabled: centralMonitor.emailEnabled,
+    heartbeat_auth_mode: centralMonitor.heartbeatAuthMode,
+    api_auth_enabled: centralMonitor.apiAuthEnabled,
+    event_stream_clients: centralMonitor.eventClients.size,
+    open_mass_outages: centralMonitor.massOutages.size,
+    data_retention: {
+      raw_retention_days: centralMonitor.rawRetentionDays,
+      hourly_rollup_retention_days: centralMonitor.hourlyRollupRetentionDays,
+      schedule: centralMonitor.retentionCron,
+    },
     memory_usage: process.memoryUsage(),
     config_files: {
-      email_config_path: centralMonitor.emailConfigPath,
+      alert_rules_path: centralMonitor.alertRulesPath,
+      escalation_config_path: centralMonitor.escalationConfigPath,
+      notification_channels_path: centralMonitor.notificationChannelsPath,
     },
   });
 });
@@ -1138,20 +7392,55 @@ app.get("/health", (req, res) => {
 if (import.meta.url === pathToFileURL(process.argv[1]).href) {
   const PORT = process.env.SERVER_PORT || 3000;
 
+  await centralMonitor.ready;
   app.listen(PORT, () => {
     console.log(`\n${"=".repeat(80)}`);
     console.log(`🚀 CENTRALIZED STORE MONITORING SERVER STARTED`);
     console.log(`📡 Port: ${PORT}`);
+    console.log(`🖥️ Web dashboard: http://localhost:${PORT}/`);
     console.log(`📊 Dashboard: http://localhost:${PORT}/dashboard`);
+    console.log(`📡 Live events: http://localhost:${PORT}/events/stream`);
+    console.log(`📈 Prometheus metrics: http://localhost:${PORT}/metrics`);
     console.log(`🏪 Store details: http://localhost:${PORT}/store/STORE_ID`);
+    console.log(`🗂️ Store registry: http://localhost:${PORT}/stores`);
+    console.log(`🏷️ Store groups: http://localhost:${PORT}/groups`);
+    console.log(
+      `📷 Store cameras: http://localhost:${PORT}/store/STORE_ID/cameras`
+    );
+    console.log(
+      `📈 Store metrics: http://localhost:${PORT}/store/STORE_ID/metrics?metric=cpu_usage`
+    );
+    console.log(
+      `📶 Store network: http://localhost:${PORT}/store/STORE_ID/network`
+    );
     console.log(
       `🔧 Manual health check: http://localhost:${PORT}/trigger-health-check`
     );
     console.log(`📧 Test email: http://localhost:${PORT}/test-email/STORE_ID`);
+    console.log(`🛠️ Maintenance: http://localhost:${PORT}/maintenance`);
     console.log(`📋 Recent alerts: http://localhost:${PORT}/alerts`);
+    console.log(`🔴 Open alerts: http://localhost:${PORT}/alerts?status=open`);
+    console.log(`🌐 Mass outages: http://localhost:${PORT}/mass-outages`);
     console.log(`🏪 Store alerts: http://localhost:${PORT}/alerts/STORE_ID`);
+    console.log(
+      `📬 Notification queue: http://localhost:${PORT}/notifications`
+    );
+    console.log(
+      `📧 Default recipients: http://localhost:${PORT}/recipients/default`
+    );
     console.log(`⚙️ Email config: http://localhost:${PORT}/config/email`);
+    console.log(
+      `📶 Escalation config: http://localhost:${PORT}/config/escalation`
+    );
+    console.log(`📣 Channels config: http://localhost:${PORT}/config/channels`);
+    console.log(`📏 Alert rules: http://localhost:${PORT}/config/alert-rules`);
+    console.log(
+      `⏱️ Alert settings: http://localhost:${PORT}/config/alert-settings`
+    );
     console.log(`🔄 Reload config: http://localhost:${PORT}/config/reload`);
+    console.log(`📊 Daily report: http://localhost:${PORT}/reports/daily`);
+    console.log(`⏱️ Fleet uptime: http://localhost:${PORT}/uptime`);
+    console.log(`🔐 API tokens: http://localhost:${PORT}/tokens`);
     console.log(`❤️ Health check: http://localhost:${PORT}/health`);
     console.log(`${"=".repeat(80)}\n`);
   });
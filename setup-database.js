@@ -64,6 +64,11 @@ async function setupDatabase() {
       CREATE TABLE IF NOT EXISTS stores (
         store_id VARCHAR(50) PRIMARY KEY,
         store_name VARCHAR(255),
+        address VARCHAR(255),
+        region VARCHAR(100),
+        contact_person VARCHAR(255),
+        contact_phone VARCHAR(50),
+        expected_heartbeat_interval_seconds INT DEFAULT 60,
         last_heartbeat DATETIME,
         status ENUM('online', 'offline', 'unknown') DEFAULT 'unknown',
         last_alert_sent DATETIME,
@@ -101,11 +106,16 @@ async function setupDatabase() {
       CREATE TABLE IF NOT EXISTS alerts (
         id INT AUTO_INCREMENT PRIMARY KEY,
         store_id VARCHAR(50),
-        alert_type ENUM('offline', 'system_warning', 'camera_failure', 'test') DEFAULT 'offline',
+        alert_type ENUM('offline', 'system_warning', 'camera_failure', 'test', 'mass_outage', 'flapping') DEFAULT 'offline',
         message TEXT,
         severity ENUM('low', 'medium', 'high', 'critical') DEFAULT 'medium',
+        alert_key VARCHAR(100) NULL,
+        escalation_level TINYINT NULL,
         resolved BOOLEAN DEFAULT FALSE,
         resolved_at DATETIME NULL,
+        resolved_by VARCHAR(100) NULL,
+        acknowledged_by VARCHAR(255) NULL,
+        acknowledged_at DATETIME NULL,
         timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
         FOREIGN KEY (store_id) REFERENCES stores(store_id) ON DELETE CASCADE,
         INDEX idx_store_timestamp (store_id, timestamp),
@@ -136,8 +146,336 @@ async function setupDatabase() {
     `);
     console.log("✅ 'system_stats' table created");
 
+    // Create maintenance_windows table
+    console.log("\n8. Creating 'maintenance_windows' table...");
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS maintenance_windows (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        title VARCHAR(255),
+        store_ids JSON,
+        recurrence ENUM('none', 'daily', 'weekly') DEFAULT 'none',
+        starts_at DATETIME NOT NULL,
+        ends_at DATETIME NULL,
+        duration_minutes INT NULL,
+        days_of_week VARCHAR(20) NULL,
+        reason TEXT,
+        created_by VARCHAR(100),
+        cancelled BOOLEAN DEFAULT FALSE,
+        cancelled_at DATETIME NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_cancelled_ends (cancelled, ends_at)
+      )
+    `);
+    console.log("✅ 'maintenance_windows' table created");
+
+    // Create notification_queue table for outbound alert deliveries
+    console.log("\n9. Creating 'notification_queue' table...");
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS notification_queue (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        alert_id INT NULL,
+        store_id VARCHAR(50) NULL,
+        channel_type VARCHAR(20),
+        channel_config JSON,
+        payload JSON,
+        status ENUM('queued', 'sent', 'failed') DEFAULT 'queued',
+        attempts INT DEFAULT 0,
+        max_attempts INT DEFAULT 6,
+        next_attempt_at DATETIME,
+        last_error TEXT,
+        sent_at DATETIME NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        FOREIGN KEY (alert_id) REFERENCES alerts(id) ON DELETE CASCADE,
+        INDEX idx_status_next_attempt (status, next_attempt_at),
+        INDEX idx_alert (alert_id)
+      )
+    `);
+    console.log("✅ 'notification_queue' table created");
+
+    // Hourly and daily aggregates of heartbeat data, kept after the raw rows
+    // are deleted by the retention job
+    console.log("\n10. Creating metric rollup tables...");
+    for (const granularity of ["hourly", "daily"]) {
+      await connection.execute(`
+        CREATE TABLE IF NOT EXISTS metric_rollups_${granularity} (
+          store_id VARCHAR(50) NOT NULL,
+          metric VARCHAR(50) NOT NULL,
+          bucket_start DATETIME NOT NULL,
+          min_value DECIMAL(12,2),
+          avg_value DECIMAL(12,2),
+          max_value DECIMAL(12,2),
+          samples INT NOT NULL DEFAULT 0,
+          first_at DATETIME,
+          last_at DATETIME,
+          PRIMARY KEY (store_id, metric, bucket_start),
+          FOREIGN KEY (store_id) REFERENCES stores(store_id) ON DELETE CASCADE,
+          INDEX idx_bucket_start (bucket_start)
+        )
+      `);
+      console.log(`✅ 'metric_rollups_${granularity}' table created`);
+    }
+
+    // Silences between heartbeats, so uptime can still be worked out once
+    // the raw heartbeats are gone
+    console.log("\n11. Creating 'heartbeat_gaps' table...");
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS heartbeat_gaps (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        store_id VARCHAR(50) NOT NULL,
+        gap_start DATETIME NOT NULL,
+        gap_end DATETIME NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (store_id) REFERENCES stores(store_id) ON DELETE CASCADE,
+        UNIQUE KEY uniq_store_gap_start (store_id, gap_start),
+        INDEX idx_gap_end (gap_end)
+      )
+    `);
+    console.log("✅ 'heartbeat_gaps' table created");
+
+    // Create store_credentials table for signed heartbeats
+    console.log("\n12. Creating 'store_credentials' table...");
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS store_credentials (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        store_id VARCHAR(50) NOT NULL,
+        key_id VARCHAR(40) NOT NULL UNIQUE,
+        secret_encrypted TEXT NOT NULL,
+        expires_at DATETIME NULL,
+        revoked_at DATETIME NULL,
+        last_used_at DATETIME NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (store_id) REFERENCES stores(store_id) ON DELETE CASCADE,
+        INDEX idx_store (store_id)
+      )
+    `);
+    console.log("✅ 'store_credentials' table created");
+
+    // Create api_tokens table for the admin/ops API
+    console.log("\n13. Creating 'api_tokens' table...");
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS api_tokens (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        name VARCHAR(100) NOT NULL,
+        token_hash CHAR(64) NOT NULL UNIQUE,
+        token_prefix VARCHAR(12) NOT NULL,
+        role ENUM('viewer', 'operator', 'admin') NOT NULL,
+        created_by VARCHAR(100),
+        expires_at DATETIME NULL,
+        revoked_at DATETIME NULL,
+        last_used_at DATETIME NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    console.log("✅ 'api_tokens' table created");
+
+    // Heartbeats from store IDs that aren't registered, kept for review
+    console.log("\n14. Creating 'quarantined_heartbeats' table...");
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS quarantined_heartbeats (
+        store_id VARCHAR(50) PRIMARY KEY,
+        reported_store_name VARCHAR(255),
+        source_ip VARCHAR(64),
+        heartbeat_count INT DEFAULT 1,
+        first_seen_at DATETIME,
+        last_seen_at DATETIME,
+        last_payload JSON
+      )
+    `);
+    console.log("✅ 'quarantined_heartbeats' table created");
+
+    // Per-store and per-region alert thresholds/cooldowns (NULL = inherit)
+    console.log("\n15. Creating 'alert_settings' table...");
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS alert_settings (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        scope_type ENUM('store', 'group', 'region') NOT NULL,
+        scope_id VARCHAR(100) NOT NULL,
+        alert_threshold_minutes INT NULL,
+        offline_alert_cooldown_minutes INT NULL,
+        startup_alert_cooldown_minutes INT NULL,
+        recovery_alert_cooldown_minutes INT NULL,
+        updated_by VARCHAR(100),
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        UNIQUE KEY uniq_scope (scope_type, scope_id)
+      )
+    `);
+    console.log("✅ 'alert_settings' table created");
+
+    // Alert email recipients per store, plus the "default" and "reports" lists
+    console.log("\n16. Creating 'alert_recipients' table...");
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS alert_recipients (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        scope_id VARCHAR(150) NOT NULL,
+        email VARCHAR(255) NOT NULL,
+        created_by VARCHAR(100),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE KEY uniq_scope_email (scope_id, email)
+      )
+    `);
+    console.log("✅ 'alert_recipients' table created");
+
+    // Who changed which recipient list, and when
+    console.log("\n17. Creating 'recipient_changes' table...");
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS recipient_changes (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        scope_id VARCHAR(150) NOT NULL,
+        action ENUM('update', 'delete', 'import') NOT NULL,
+        previous_recipients JSON,
+        new_recipients JSON,
+        changed_by VARCHAR(100),
+        changed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_scope_changed (scope_id, changed_at)
+      )
+    `);
+    console.log("✅ 'recipient_changes' table created");
+
+    // Store groups (brand, city, franchisee, ...) and their members
+    console.log("\n18. Creating 'store_groups' tables...");
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS store_groups (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        name VARCHAR(100) NOT NULL UNIQUE,
+        group_type VARCHAR(50),
+        description TEXT,
+        created_by VARCHAR(100),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS store_group_members (
+        group_id INT NOT NULL,
+        store_id VARCHAR(50) NOT NULL,
+        PRIMARY KEY (group_id, store_id),
+        FOREIGN KEY (group_id) REFERENCES store_groups(id) ON DELETE CASCADE,
+        FOREIGN KEY (store_id) REFERENCES stores(store_id) ON DELETE CASCADE,
+        INDEX idx_store (store_id)
+      )
+    `);
+    console.log("✅ 'store_groups' and 'store_group_members' tables created");
+
+    // Free-form store tags
+    console.log("\n19. Creating 'store_tags' table...");
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS store_tags (
+        store_id VARCHAR(50) NOT NULL,
+        tag VARCHAR(50) NOT NULL,
+        PRIMARY KEY (store_id, tag),
+        FOREIGN KEY (store_id) REFERENCES stores(store_id) ON DELETE CASCADE,
+        INDEX idx_tag (tag)
+      )
+    `);
+    console.log("✅ 'store_tags' table created");
+
+    // Stores covered by a mass outage (the outage itself is an alert)
+    console.log("\n20. Creating 'mass_outage_stores' table...");
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS mass_outage_stores (
+        alert_id INT NOT NULL,
+        store_id VARCHAR(50) NOT NULL,
+        added_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (alert_id, store_id),
+        FOREIGN KEY (alert_id) REFERENCES alerts(id) ON DELETE CASCADE,
+        FOREIGN KEY (store_id) REFERENCES stores(store_id) ON DELETE CASCADE
+      )
+    `);
+    console.log("✅ 'mass_outage_stores' table created");
+
+    // Network speed tests reported by the stores, one row per measurement
+    console.log("\n21. Creating 'network_speed_history' table...");
+    await connection.execute(`
+      CREATE TABLE IF NOT EXISTS network_speed_history (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        store_id VARCHAR(50) NOT NULL,
+        timestamp DATETIME NOT NULL,
+        speed_mbps DECIMAL(10,2) NOT NULL,
+        FOREIGN KEY (store_id) REFERENCES stores(store_id) ON DELETE CASCADE,
+        UNIQUE KEY uniq_store_timestamp (store_id, timestamp)
+      )
+    `);
+    console.log("✅ 'network_speed_history' table created");
+
+    // Bring tables created by older versions up to date
+    console.log("\n22. Applying schema updates...");
+    await addColumnIfMissing(
+      connection,
+      "alerts",
+      "alert_key",
+      "VARCHAR(100) NULL AFTER severity"
+    );
+    await addColumnIfMissing(
+      connection,
+      "alerts",
+      "escalation_level",
+      "TINYINT NULL AFTER alert_key"
+    );
+    await addColumnIfMissing(
+      connection,
+      "alerts",
+      "resolved_by",
+      "VARCHAR(100) NULL AFTER resolved_at"
+    );
+    await addColumnIfMissing(
+      connection,
+      "alerts",
+      "acknowledged_by",
+      "VARCHAR(255) NULL AFTER resolved_by"
+    );
+    await addColumnIfMissing(
+      connection,
+      "alerts",
+      "acknowledged_at",
+      "DATETIME NULL AFTER acknowledged_by"
+    );
+    await addColumnIfMissing(
+      connection,
+      "stores",
+      "address",
+      "VARCHAR(255) NULL AFTER store_name"
+    );
+    await addColumnIfMissing(
+      connection,
+      "stores",
+      "region",
+      "VARCHAR(100) NULL AFTER address"
+    );
+    await addColumnIfMissing(
+      connection,
+      "stores",
+      "contact_person",
+      "VARCHAR(255) NULL AFTER region"
+    );
+    await addColumnIfMissing(
+      connection,
+      "stores",
+      "contact_phone",
+      "VARCHAR(50) NULL AFTER contact_person"
+    );
+    await addColumnIfMissing(
+      connection,
+      "stores",
+      "expected_heartbeat_interval_seconds",
+      "INT DEFAULT 60 AFTER contact_phone"
+    );
+    // Group scopes for alert settings and recipient lists
+    await connection.execute(
+      "ALTER TABLE alert_settings MODIFY scope_type ENUM('store', 'group', 'region') NOT NULL"
+    );
+    await connection.execute(
+      "ALTER TABLE alert_recipients MODIFY scope_id VARCHAR(150) NOT NULL"
+    );
+    await connection.execute(
+      "ALTER TABLE recipient_changes MODIFY scope_id VARCHAR(150) NOT NULL"
+    );
+    await connection.execute(
+      "ALTER TABLE alerts MODIFY alert_type ENUM('offline', 'system_warning', 'camera_failure', 'test', 'mass_outage', 'flapping') DEFAULT 'offline'"
+    );
+    console.log("✅ Schema is up to date");
+
     // Verify all tables were created
-    console.log("\n8. Verifying tables...");
+    console.log("\n23. Verifying tables...");
     const [tables] = await connection.query("SHOW TABLES");
     console.log("📊 Tables in database:");
     tables.forEach((table) => {
@@ -145,12 +483,28 @@ async function setupDatabase() {
     });
 
     // Show table structures for verification
-    console.log("\n9. Verifying table structures...");
+    console.log("\n24. Verifying table structures...");
     const tableNames = [
       "stores",
       "heartbeat_history",
       "alerts",
       "system_stats",
+      "maintenance_windows",
+      "notification_queue",
+      "metric_rollups_hourly",
+      "metric_rollups_daily",
+      "heartbeat_gaps",
+      "store_credentials",
+      "api_tokens",
+      "quarantined_heartbeats",
+      "alert_settings",
+      "alert_recipients",
+      "recipient_changes",
+      "store_groups",
+      "store_group_members",
+      "store_tags",
+      "mass_outage_stores",
+      "network_speed_history",
     ];
 
     for (const tableName of tableNames) {
@@ -195,6 +549,27 @@ async function setupDatabase() {
   }
 }
 
+// Add a column to an existing table (CREATE TABLE IF NOT EXISTS won't)
+async function addColumnIfMissing(
+  connection,
+  tableName,
+  columnName,
+  definition
+) {
+  const [columns] = await connection.execute(
+    `SELECT COLUMN_NAME FROM information_schema.COLUMNS
+     WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND COLUMN_NAME = ?`,
+    [tableName, columnName]
+  );
+
+  if (columns.length === 0) {
+    await connection.execute(
+      `ALTER TABLE ${tableName} ADD COLUMN ${columnName} ${definition}`
+    );
+    console.log(`  ➕ Added column ${tableName}.${columnName}`);
+  }
+}
+
 // Manual table creation function (backup method)
 async function createTablesManually() {
   console.log("🔧 Creating tables manually...");
@@ -205,6 +580,11 @@ async function createTablesManually() {
     `CREATE TABLE IF NOT EXISTS stores (
       store_id VARCHAR(50) PRIMARY KEY,
       store_name VARCHAR(255),
+      address VARCHAR(255),
+      region VARCHAR(100),
+      contact_person VARCHAR(255),
+      contact_phone VARCHAR(50),
+      expected_heartbeat_interval_seconds INT DEFAULT 60,
       last_heartbeat DATETIME,
       status ENUM('online', 'offline', 'unknown') DEFAULT 'unknown',
       last_alert_sent DATETIME,
@@ -230,11 +610,16 @@ async function createTablesManually() {
     `CREATE TABLE IF NOT EXISTS alerts (
       id INT AUTO_INCREMENT PRIMARY KEY,
       store_id VARCHAR(50),
-      alert_type ENUM('offline', 'system_warning', 'camera_failure', 'test') DEFAULT 'offline',
+      alert_type ENUM('offline', 'system_warning', 'camera_failure', 'test', 'mass_outage', 'flapping') DEFAULT 'offline',
       message TEXT,
       severity ENUM('low', 'medium', 'high', 'critical') DEFAULT 'medium',
+      alert_key VARCHAR(100) NULL,
+      escalation_level TINYINT NULL,
       resolved BOOLEAN DEFAULT FALSE,
       resolved_at DATETIME NULL,
+      resolved_by VARCHAR(100) NULL,
+      acknowledged_by VARCHAR(255) NULL,
+      acknowledged_at DATETIME NULL,
       timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
       FOREIGN KEY (store_id) REFERENCES stores(store_id) ON DELETE CASCADE,
       INDEX idx_store_timestamp (store_id, timestamp),
@@ -256,6 +641,181 @@ async function createTablesManually() {
       FOREIGN KEY (store_id) REFERENCES stores(store_id) ON DELETE CASCADE,
       INDEX idx_store_timestamp (store_id, timestamp)
     );`,
+    `CREATE TABLE IF NOT EXISTS maintenance_windows (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      title VARCHAR(255),
+      store_ids JSON,
+      recurrence ENUM('none', 'daily', 'weekly') DEFAULT 'none',
+      starts_at DATETIME NOT NULL,
+      ends_at DATETIME NULL,
+      duration_minutes INT NULL,
+      days_of_week VARCHAR(20) NULL,
+      reason TEXT,
+      created_by VARCHAR(100),
+      cancelled BOOLEAN DEFAULT FALSE,
+      cancelled_at DATETIME NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      INDEX idx_cancelled_ends (cancelled, ends_at)
+    );`,
+    `CREATE TABLE IF NOT EXISTS notification_queue (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      alert_id INT NULL,
+      store_id VARCHAR(50) NULL,
+      channel_type VARCHAR(20),
+      channel_config JSON,
+      payload JSON,
+      status ENUM('queued', 'sent', 'failed') DEFAULT 'queued',
+      attempts INT DEFAULT 0,
+      max_attempts INT DEFAULT 6,
+      next_attempt_at DATETIME,
+      last_error TEXT,
+      sent_at DATETIME NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      FOREIGN KEY (alert_id) REFERENCES alerts(id) ON DELETE CASCADE,
+      INDEX idx_status_next_attempt (status, next_attempt_at),
+      INDEX idx_alert (alert_id)
+    );`,
+    `CREATE TABLE IF NOT EXISTS metric_rollups_hourly (
+      store_id VARCHAR(50) NOT NULL,
+      metric VARCHAR(50) NOT NULL,
+      bucket_start DATETIME NOT NULL,
+      min_value DECIMAL(12,2),
+      avg_value DECIMAL(12,2),
+      max_value DECIMAL(12,2),
+      samples INT NOT NULL DEFAULT 0,
+      first_at DATETIME,
+      last_at DATETIME,
+      PRIMARY KEY (store_id, metric, bucket_start),
+      FOREIGN KEY (store_id) REFERENCES stores(store_id) ON DELETE CASCADE,
+      INDEX idx_bucket_start (bucket_start)
+    );`,
+    `CREATE TABLE IF NOT EXISTS metric_rollups_daily (
+      store_id VARCHAR(50) NOT NULL,
+      metric VARCHAR(50) NOT NULL,
+      bucket_start DATETIME NOT NULL,
+      min_value DECIMAL(12,2),
+      avg_value DECIMAL(12,2),
+      max_value DECIMAL(12,2),
+      samples INT NOT NULL DEFAULT 0,
+      first_at DATETIME,
+      last_at DATETIME,
+      PRIMARY KEY (store_id, metric, bucket_start),
+      FOREIGN KEY (store_id) REFERENCES stores(store_id) ON DELETE CASCADE,
+      INDEX idx_bucket_start (bucket_start)
+    );`,
+    `CREATE TABLE IF NOT EXISTS heartbeat_gaps (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      store_id VARCHAR(50) NOT NULL,
+      gap_start DATETIME NOT NULL,
+      gap_end DATETIME NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (store_id) REFERENCES stores(store_id) ON DELETE CASCADE,
+      UNIQUE KEY uniq_store_gap_start (store_id, gap_start),
+      INDEX idx_gap_end (gap_end)
+    );`,
+    `CREATE TABLE IF NOT EXISTS store_credentials (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      store_id VARCHAR(50) NOT NULL,
+      key_id VARCHAR(40) NOT NULL UNIQUE,
+      secret_encrypted TEXT NOT NULL,
+      expires_at DATETIME NULL,
+      revoked_at DATETIME NULL,
+      last_used_at DATETIME NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (store_id) REFERENCES stores(store_id) ON DELETE CASCADE,
+      INDEX idx_store (store_id)
+    );`,
+    `CREATE TABLE IF NOT EXISTS api_tokens (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      name VARCHAR(100) NOT NULL,
+      token_hash CHAR(64) NOT NULL UNIQUE,
+      token_prefix VARCHAR(12) NOT NULL,
+      role ENUM('viewer', 'operator', 'admin') NOT NULL,
+      created_by VARCHAR(100),
+      expires_at DATETIME NULL,
+      revoked_at DATETIME NULL,
+      last_used_at DATETIME NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );`,
+    `CREATE TABLE IF NOT EXISTS quarantined_heartbeats (
+      store_id VARCHAR(50) PRIMARY KEY,
+      reported_store_name VARCHAR(255),
+      source_ip VARCHAR(64),
+      heartbeat_count INT DEFAULT 1,
+      first_seen_at DATETIME,
+      last_seen_at DATETIME,
+      last_payload JSON
+    );`,
+    `CREATE TABLE IF NOT EXISTS alert_settings (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      scope_type ENUM('store', 'group', 'region') NOT NULL,
+      scope_id VARCHAR(100) NOT NULL,
+      alert_threshold_minutes INT NULL,
+      offline_alert_cooldown_minutes INT NULL,
+      startup_alert_cooldown_minutes INT NULL,
+      recovery_alert_cooldown_minutes INT NULL,
+      updated_by VARCHAR(100),
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      UNIQUE KEY uniq_scope (scope_type, scope_id)
+    );`,
+    `CREATE TABLE IF NOT EXISTS alert_recipients (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      scope_id VARCHAR(150) NOT NULL,
+      email VARCHAR(255) NOT NULL,
+      created_by VARCHAR(100),
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE KEY uniq_scope_email (scope_id, email)
+    );`,
+    `CREATE TABLE IF NOT EXISTS recipient_changes (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      scope_id VARCHAR(150) NOT NULL,
+      action ENUM('update', 'delete', 'import') NOT NULL,
+      previous_recipients JSON,
+      new_recipients JSON,
+      changed_by VARCHAR(100),
+      changed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      INDEX idx_scope_changed (scope_id, changed_at)
+    );`,
+    `CREATE TABLE IF NOT EXISTS store_groups (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      name VARCHAR(100) NOT NULL UNIQUE,
+      group_type VARCHAR(50),
+      description TEXT,
+      created_by VARCHAR(100),
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );`,
+    `CREATE TABLE IF NOT EXISTS store_group_members (
+      group_id INT NOT NULL,
+      store_id VARCHAR(50) NOT NULL,
+      PRIMARY KEY (group_id, store_id),
+      FOREIGN KEY (group_id) REFERENCES store_groups(id) ON DELETE CASCADE,
+      FOREIGN KEY (store_id) REFERENCES stores(store_id) ON DELETE CASCADE,
+      INDEX idx_store (store_id)
+    );`,
+    `CREATE TABLE IF NOT EXISTS store_tags (
+      store_id VARCHAR(50) NOT NULL,
+      tag VARCHAR(50) NOT NULL,
+      PRIMARY KEY (store_id, tag),
+      FOREIGN KEY (store_id) REFERENCES stores(store_id) ON DELETE CASCADE,
+      INDEX idx_tag (tag)
+    );`,
+    `CREATE TABLE IF NOT EXISTS mass_outage_stores (
+      alert_id INT NOT NULL,
+      store_id VARCHAR(50) NOT NULL,
+      added_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (alert_id, store_id),
+      FOREIGN KEY (alert_id) REFERENCES alerts(id) ON DELETE CASCADE,
+      FOREIGN KEY (store_id) REFERENCES stores(store_id) ON DELETE CASCADE
+    );`,
+    `CREATE TABLE IF NOT EXISTS network_speed_history (
+      id INT AUTO_INCREMENT PRIMARY KEY,
+      store_id VARCHAR(50) NOT NULL,
+      timestamp DATETIME NOT NULL,
+      speed_mbps DECIMAL(10,2) NOT NULL,
+      FOREIGN KEY (store_id) REFERENCES stores(store_id) ON DELETE CASCADE,
+      UNIQUE KEY uniq_store_timestamp (store_id, timestamp)
+    );`,
   ];
 
   console.log("\n📋 SQL Commands to run manually:");
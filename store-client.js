@@ -3,6 +3,7 @@ import mysql from "mysql2/promise";
 import si from "systeminformation";
 import dotenv from "dotenv";
 import { pathToFileURL } from "url";
+import { createSignatureHeaders } from "./heartbeat-auth.js";
 
 dotenv.config();
 
@@ -12,6 +13,9 @@ class StoreHeartbeatClient {
     this.storeName = config.storeName || this.storeId;
     this.monitoringServerUrl = config.monitoringServerUrl.replace(/\/$/, "");
     this.heartbeatInterval = config.heartbeatInterval || 300000; // 5 minutes in ms
+    // Key issued by the server (POST /stores/:storeId/credentials)
+    this.apiKeyId = config.apiKeyId || null;
+    this.apiSecret = config.apiSecret || null;
     this.running = false;
     this.intervalId = null;
     this.cleanupIntervalId = null;
@@ -296,21 +300,39 @@ class StoreHeartbeatClient {
     };
   }
 
+  // POST JSON to the monitoring server, signed with the store's key if it
+  // has one. The signature covers the exact body string, so that's what
+  // gets sent rather than letting axios serialize it.
+  async postToServer(path, data, timeout) {
+    const body = JSON.stringify(data);
+    const headers = {
+      "Content-Type": "application/json",
+      "User-Agent": `Store-Monitor-${this.storeId}`,
+    };
+
+    if (this.apiKeyId && this.apiSecret) {
+      Object.assign(
+        headers,
+        createSignatureHeaders({
+          storeId: this.storeId,
+          keyId: this.apiKeyId,
+          secret: this.apiSecret,
+          body,
+        })
+      );
+    }
+
+    return axios.post(`${this.monitoringServerUrl}${path}`, body, {
+      timeout,
+      headers,
+    });
+  }
+
   async sendHeartbeat() {
     try {
       const payload = await this.createHeartbeatPayload();
 
-      const response = await axios.post(
-        `${this.monitoringServerUrl}/heartbeat`,
-        payload,
-        {
-          timeout: 10000,
-          headers: {
-            "Content-Type": "application/json",
-            "User-Agent": `Store-Monitor-${this.storeId}`,
-          },
-        }
-      );
+      const response = await this.postToServer("/heartbeat", payload, 10000);
 
       if (response.status === 200) {
         this.consecutiveFailures = 0;
@@ -350,6 +372,12 @@ class StoreHeartbeatClient {
         console.error(`   Connection refused - monitoring server may be down`);
       } else if (error.code === "ETIMEDOUT") {
         console.error(`   Request timeout - server may be slow or unreachable`);
+      } else if (error.response?.status === 401) {
+        console.error(
+          `   Heartbeat rejected: ${
+            error.response.data?.error || "unauthorized"
+          } - check STORE_API_KEY_ID / STORE_API_SECRET`
+        );
       } else if (error.response) {
         console.error(
           `   Server responded with ${error.response.status}: ${error.response.statusText}`
@@ -464,13 +492,10 @@ class StoreHeartbeatClient {
             `📤 Sending buffered heartbeat ${row.id} for store ${heartbeatData.store_id}`
           );
 
-          const response = await axios.post(
-            `${this.monitoringServerUrl}/heartbeat/buffered`,
+          const response = await this.postToServer(
+            "/heartbeat/buffered",
             heartbeatData,
-            {
-              timeout: 5000,
-              headers: { "Content-Type": "application/json" },
-            }
+            5000
           );
 
           if (response.status === 200) {
@@ -693,6 +718,8 @@ if (import.meta.url === pathToFileURL(process.argv[1]).href) {
     storeName: process.env.STORE_NAME || process.env.STORE_ID,
     monitoringServerUrl: process.env.MONITORING_SERVER_URL,
     heartbeatInterval: parseInt(process.env.HEARTBEAT_INTERVAL) || 60000,
+    apiKeyId: process.env.STORE_API_KEY_ID,
+    apiSecret: process.env.STORE_API_SECRET,
   };
 
   console.log("📋 Configuration:");
@@ -700,6 +727,11 @@ if (import.meta.url === pathToFileURL(process.argv[1]).href) {
   console.log(`   Store Name: ${config.storeName}`);
   console.log(`   Server URL: ${config.monitoringServerUrl}`);
   console.log(`   Heartbeat Interval: ${config.heartbeatInterval / 1000}s`);
+  console.log(
+    `   Signed Heartbeats: ${
+      config.apiKeyId && config.apiSecret ? config.apiKeyId : "no"
+    }`
+  );
   console.log("=".repeat(60));
 
   const client = new StoreHeartbeatClient(config);
@@ -0,0 +1,39 @@
+// webhook-stub.js - Local HTTP endpoint for trying out webhook/Slack/Teams channels
+// Point a channel at http://localhost:4000/<anything> and watch what arrives.
+import http from "http";
+import dotenv from "dotenv";
+
+dotenv.config();
+
+const PORT = parseInt(process.env.WEBHOOK_STUB_PORT) || 4000;
+// Set WEBHOOK_STUB_FAIL=true to answer 500 and exercise failure handling
+const FAIL = process.env.WEBHOOK_STUB_FAIL === "true";
+
+const server = http.createServer((req, res) => {
+  let body = "";
+  req.on("data", (chunk) => {
+    body += chunk;
+  });
+
+  req.on("end", () => {
+    console.log(`\n${"=".repeat(60)}`);
+    console.log(`📥 ${new Date().toISOString()} ${req.method} ${req.url}`);
+    console.log(`   Content-Type: ${req.headers["content-type"] || "-"}`);
+
+    try {
+      console.log(JSON.stringify(JSON.parse(body), null, 2));
+    } catch (error) {
+      console.log(body || "(empty body)");
+    }
+
+    res.writeHead(FAIL ? 500 : 200, { "Content-Type": "application/json" });
+    res.end(JSON.stringify({ ok: !FAIL }));
+  });
+});
+
+server.listen(PORT, () => {
+  console.log(`🪝 Webhook stub listening on http://localhost:${PORT}`);
+  if (FAIL) {
+    console.log("⚠️ Answering every request with HTTP 500");
+  }
+});